@@ -0,0 +1,175 @@
+if (!customElements.get('cart-rewards')) {
+  customElements.define(
+    'cart-rewards',
+    class CartRewards extends HTMLElement {
+      static SOURCE = 'cart-rewards';
+      // Line item property marking the gift line added by the rewards, so a gift bought on its own is never touched
+      static GIFT_PROPERTY = '_Cart reward';
+      // Set when the shopper removes the gift or it can't be added, it isn't tried again until the cart drops below the tier
+      static SKIPPED_KEY = 'cart-rewards:gift-skipped';
+
+      static #syncing = false;
+
+      cartStateUnsubscriber = undefined;
+      // Keys of the reward gift lines in the last cart state, cart state changes don't carry line properties
+      giftLineKeys = new Set();
+
+      connectedCallback() {
+        this.tiers = Array.from(this.querySelectorAll('[data-threshold]'), (element) => ({
+          element,
+          label: element.dataset.label,
+          gift: element.hasAttribute('data-gift'),
+          threshold: this.convertThreshold(element.dataset.threshold),
+        })).sort((a, b) => a.threshold - b.threshold);
+        this.giftVariantId = parseInt(this.dataset.giftVariantId) || null;
+
+        this.cartStateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartStateChange, (event) => {
+          this.render(event.cart);
+          if (event.type === CartStore.CHANGE_TYPES.reverted) {
+            this.giftLineKeys = this.getGiftLineKeys(event.cart);
+            return;
+          }
+
+          // Removals show up in the optimistic change, the confirmed one no longer sees the line go
+          this.trackRemovedGift(event);
+
+          // Another tab's change is synced by that tab, both adding the gift would double it
+          if (event.type === CartStore.CHANGE_TYPES.confirmed && event.source !== CartSync.SOURCE) {
+            return this.syncGift(event.cart);
+          }
+        });
+
+        CartStore.ready().then((cart) => {
+          if (!cart || !this.isConnected) return;
+
+          this.giftLineKeys = this.getGiftLineKeys(cart);
+          this.render(cart);
+          this.syncGift(cart);
+        });
+      }
+
+      disconnectedCallback() {
+        if (this.cartStateUnsubscriber) {
+          this.cartStateUnsubscriber();
+        }
+      }
+
+      // Thresholds are set in the shop currency, other markets see them at the current exchange rate
+      convertThreshold(threshold) {
+        const rate = parseFloat(window.Shopify?.currency?.rate) || 1;
+        return Math.round(parseFloat(threshold) * 100 * rate);
+      }
+
+      isGiftLine(item) {
+        return item.variant_id === this.giftVariantId && Boolean(item.properties?.[CartRewards.GIFT_PROPERTY]);
+      }
+
+      getGiftLineKeys(cart) {
+        return new Set(cart.items.filter((item) => this.isGiftLine(item)).map((item) => item.key));
+      }
+
+      // The gift line doesn't count towards the tiers, or it could keep itself in the cart
+      getEligibleTotal(cart) {
+        return cart.items
+          .filter((item) => !this.isGiftLine(item))
+          .reduce((total, item) => total + item.final_line_price, 0);
+      }
+
+      render(cart) {
+        if (!cart || this.tiers.length === 0) return;
+
+        const total = this.getEligibleTotal(cart);
+        const maxThreshold = this.tiers[this.tiers.length - 1].threshold;
+        const progress = maxThreshold > 0 ? Math.min(total / maxThreshold, 1) : 1;
+        const nextTier = this.tiers.find((tier) => tier.threshold > total);
+
+        this.tiers.forEach((tier) => {
+          tier.element.style.left = `${maxThreshold > 0 ? (tier.threshold / maxThreshold) * 100 : 100}%`;
+          tier.element.classList.toggle('cart-rewards__tier--reached', tier.threshold <= total);
+        });
+
+        const bar = this.querySelector('[role="progressbar"]');
+        bar.setAttribute('aria-valuenow', Math.round(progress * 100));
+        bar.querySelector('.progress-bar-value').style.setProperty('--progress', progress);
+
+        const message = this.querySelector('.cart-rewards__message');
+        if (nextTier) {
+          message.textContent = window.cartStrings.rewardsRemaining
+            .replace('[amount]', MoneyFormat.format(nextTier.threshold - total, { withoutTrailingZeros: true }))
+            .replace('[reward]', nextTier.label);
+        } else {
+          const labels = this.tiers.map((tier) => tier.label);
+          message.textContent = window.cartStrings.rewardsUnlocked.replace(
+            '[reward]',
+            new Intl.ListFormat(document.documentElement.lang || undefined, { type: 'conjunction' }).format(labels)
+          );
+        }
+
+        this.classList.toggle('hidden', cart.item_count === 0);
+      }
+
+      // Only the reward gift line counts, removing a copy of the same product bought at full price doesn't
+      trackRemovedGift({ source, changes, cart }) {
+        const giftLineKeys = this.giftLineKeys;
+        this.giftLineKeys = this.getGiftLineKeys(cart);
+        if (source === CartRewards.SOURCE) return;
+
+        const removedGift = changes.some(
+          (change) => giftLineKeys.has(change.key) && change.quantity === 0 && change.previousQuantity > 0
+        );
+        if (removedGift) sessionStorage.setItem(CartRewards.SKIPPED_KEY, 'true');
+      }
+
+      // Adds the gift variant once its tier is reached and removes it when the cart drops below it
+      // A gift line already in the cart is kept at exactly one
+      syncGift(cart) {
+        const giftTier = this.tiers.find((tier) => tier.gift);
+        if (!giftTier || !this.giftVariantId || CartRewards.#syncing) return;
+
+        const giftLine = cart.items.find((item) => this.isGiftLine(item));
+        const reached = this.getEligibleTotal(cart) >= giftTier.threshold;
+        const giftQuantity = reached ? 1 : 0;
+
+        if (!reached) sessionStorage.removeItem(CartRewards.SKIPPED_KEY);
+        if (giftLine ? giftLine.quantity === giftQuantity : !reached) return;
+        if (!giftLine && sessionStorage.getItem(CartRewards.SKIPPED_KEY)) return;
+
+        CartRewards.#syncing = true;
+
+        const request = !giftLine
+          ? CartMutationQueue.fetch(`${routes.cart_add_url}`, {
+              ...fetchConfig(),
+              ...{
+                body: JSON.stringify({
+                  items: [
+                    {
+                      id: this.giftVariantId,
+                      quantity: 1,
+                      properties: { [CartRewards.GIFT_PROPERTY]: giftTier.label },
+                    },
+                  ],
+                }),
+              },
+            }).then((response) => response.json())
+          : CartStore.update({ [giftLine.key]: giftQuantity }, { source: CartRewards.SOURCE });
+
+        return request
+          .then((state) => {
+            if (state.status || state.errors) {
+              // Sold out or unavailable gift: don't retry on every cart change
+              sessionStorage.setItem(CartRewards.SKIPPED_KEY, 'true');
+              return;
+            }
+
+            // The cart store publishes the new state next, it is checked again
+            CartRewards.#syncing = false;
+            return publish(PUB_SUB_EVENTS.cartUpdate, { source: CartRewards.SOURCE, cartData: state });
+          })
+          .catch((error) => console.error(error))
+          .finally(() => {
+            CartRewards.#syncing = false;
+          });
+      }
+    }
+  );
+}
@@ -5,13 +5,120 @@ class CartRemoveButton extends HTMLElement {
     this.addEventListener('click', (event) => {
       event.preventDefault();
       const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
-      cartItems.updateQuantity(this.dataset.index, 0, event);
+
+      const removal = cartItems.getRemovedLines(this.dataset.index);
+
+      cartItems.updateQuantity(this.dataset.index, 0, event).then(() => {
+        // Offer the undo only once the line is really gone
+        if (removal && !CartStore.state?.items.some((item) => item.key === removal.parent.key)) {
+          CartUndoToast.show(removal);
+        }
+      });
     });
   }
 }
 
 customElements.define('cart-remove-button', CartRemoveButton);
 
+class CartUndoToast extends HTMLElement {
+  // How long the last removal can be undone
+  static TIMEOUT = 8000;
+
+  static #removal = null;
+  static #timeout = null;
+
+  // Toasts are rendered again with the cart sections, the removal is kept here so the new element shows it too
+  static show(removal) {
+    clearTimeout(CartUndoToast.#timeout);
+    CartUndoToast.#removal = removal;
+    CartUndoToast.#timeout = setTimeout(() => CartUndoToast.dismiss(), CartUndoToast.TIMEOUT);
+    document.querySelectorAll('cart-undo-toast').forEach((toast) => toast.render());
+  }
+
+  static dismiss() {
+    clearTimeout(CartUndoToast.#timeout);
+    CartUndoToast.#removal = null;
+    document.querySelectorAll('cart-undo-toast').forEach((toast) => toast.render());
+  }
+
+  constructor() {
+    super();
+
+    this.querySelector('button').addEventListener('click', this.onUndo.bind(this));
+  }
+
+  connectedCallback() {
+    this.render();
+  }
+
+  render() {
+    const removal = CartUndoToast.#removal;
+    const button = this.querySelector('button');
+
+    this.classList.toggle('hidden', !removal);
+    button.removeAttribute('aria-disabled');
+    if (!removal) return;
+
+    this.querySelector('.cart-undo-toast__message').textContent = window.cartStrings.lineRemoved.replace(
+      '[title]',
+      removal.parent.product_title
+    );
+  }
+
+  onUndo(event) {
+    event.preventDefault();
+
+    const removal = CartUndoToast.#removal;
+    const button = event.currentTarget;
+    if (!removal || button.getAttribute('aria-disabled')) return;
+
+    button.setAttribute('aria-disabled', true);
+    clearTimeout(CartUndoToast.#timeout);
+
+    const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
+    cartItems.restoreLines(removal).finally(() => CartUndoToast.dismiss());
+  }
+}
+
+customElements.define('cart-undo-toast', CartUndoToast);
+
+class CartRemoveEmbroideryButton extends HTMLElement {
+  // Line item properties written by the embroidery customizer
+  static PROPERTY_PREFIXES = ['Embroidery ', '_Embroidery ', '_embroidery', '_Addons'];
+
+  constructor() {
+    super();
+
+    this.addEventListener('click', (event) => {
+      event.preventDefault();
+      const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
+      cartItems.removeEmbroidery(this.dataset.index, {
+        key: this.dataset.lineKey,
+        quantity: parseInt(this.dataset.quantity),
+        addonKeys: (this.dataset.addonKeys || '').split(',').filter(Boolean),
+        properties: this.getRetainedProperties(),
+      });
+    });
+  }
+
+  getRetainedProperties() {
+    let properties = {};
+    try {
+      properties = JSON.parse(this.dataset.properties || '{}') || {};
+    } catch (e) {
+      console.error(e);
+    }
+
+    return Object.fromEntries(
+      Object.entries(properties).filter(
+        ([key]) => !CartRemoveEmbroideryButton.PROPERTY_PREFIXES.some((prefix) => key.startsWith(prefix))
+      )
+    );
+  }
+}
+
+customElements.define('cart-remove-embroidery-button', CartRemoveEmbroideryButton);
+
 class CartItems extends HTMLElement {
   constructor() {
     super();
@@ -29,20 +136,33 @@ class CartItems extends HTMLElement {
     this.addEventListener('change', debouncedOnChange.bind(this));
   }
 
-  cartUpdateUnsubscriber = undefined;
+  cartStateUnsubscriber = undefined;
+
+  // Orphaned add-on lines already sent for removal, so a failed removal isn't retried on every render
+  static #sweptKeys = new Set();
 
   connectedCallback() {
-    this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
-      if (event.source === 'cart-items') {
+    CartStore.ready();
+
+    // Sections are fetched again only when the cart store reports a change made elsewhere
+    this.cartStateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartStateChange, (event) => {
+      if (event.type !== CartStore.CHANGE_TYPES.confirmed) {
+        this.renderStateChanges(event);
+        return;
+      }
+      if (event.source === 'cart-items' && event.type === CartStore.CHANGE_TYPES.confirmed) {
         return;
       }
       return this.onCartUpdate();
     });
+
+    // The cart drawer items are replaced on every update, the new element sweeps its own rows
+    this.sweepOrphans();
   }
 
   disconnectedCallback() {
-    if (this.cartUpdateUnsubscriber) {
-      this.cartUpdateUnsubscriber();
+    if (this.cartStateUnsubscriber) {
+      this.cartStateUnsubscriber();
     }
   }
 
@@ -110,12 +230,16 @@ class CartItems extends HTMLElement {
           console.error(e);
         });
     } else {
-      return fetch(`${routes.cart_url}?section_id=main-cart-items`)
-        .then((response) => response.text())
-        .then((responseText) => {
-          const html = new DOMParser().parseFromString(responseText, 'text/html');
-          const sourceQty = html.querySelector('cart-items');
-          this.innerHTML = sourceQty.innerHTML;
+      // Items and footer totals change together (embroidery and other add-ons update both)
+      const sections = this.getSectionsToRender().map((section) => section.section);
+      return fetch(`${routes.cart_url}?sections=${sections.join(',')}`)
+        .then((response) => response.json())
+        .then((parsedSections) => {
+          this.renderSections({ sections: parsedSections });
+
+          const isEmpty = !this.querySelector('.cart-item');
+          this.classList.toggle('is-empty', isEmpty);
+          document.getElementById('main-cart-footer')?.classList.toggle('is-empty', isEmpty);
         })
         .catch((e) => {
           console.error(e);
@@ -149,56 +273,31 @@ class CartItems extends HTMLElement {
   }
 
   updateQuantity(line, quantity, event, name, variantId) {
+    // Add-on children (embroidery, gift wrap...) follow their parent line: same quantity, removed with it
+    const lineElement = this.getLineElement(line);
+    if (!lineElement?.dataset.lineKey) return Promise.resolve();
+    const keys = [lineElement.dataset.lineKey, ...this.getChildKeys(lineElement)];
+
     const eventTarget = event.currentTarget instanceof CartRemoveButton ? 'clear' : 'change';
     const cartPerformanceUpdateMarker = CartPerformance.createStartingMarker(`${eventTarget}:user-action`);
 
-    let cart_api = routes.cart_change_url;
-    let body = JSON.stringify({
-      line,
-      quantity,
-      sections: this.getSectionsToRender().map((section) => section.section),
-      sections_url: window.location.pathname,
-    });
     this.enableLoading(line);
 
-    const hasEmbroidery = event.target.hasAttribute('data-embroidery');
-    
-    if (hasEmbroidery) {
-      const addonsIds = event.target.dataset.addonsIds;
-      if (!addonsIds || addonsIds === '') return;
-
-      cart_api = routes.cart_update_url;
-
-      const updates = {
-        [variantId]: quantity  // Main product line
-      };
-
-      addonsIds.split(',').forEach(id => {
-        updates[id] = quantity;
-      });
-
-      body = JSON.stringify({
-        updates: updates,
-        sections: this.getSectionsToRender().map((section) => section.section),
-        sections_url: window.location.pathname,
-      });
-    }
-      
-    fetch(`${cart_api}`, { ...fetchConfig(), ...{ body } })
-      .then((response) => {
-        return response.text();
-      })
-      .then((state) => {
-        const parsedState = JSON.parse(state);
-
+    // The cart store shows the new quantities at once and reconciles them with the response
+    return CartStore.update(Object.fromEntries(keys.map((key) => [key, quantity])), {
+      source: 'cart-items',
+      sections: this.getSectionsToRender().map((section) => section.section),
+      sections_url: window.location.pathname,
+    })
+      .then((parsedState) => {
         CartPerformance.measure(`${eventTarget}:paint-updated-sections`, () => {
           const quantityElement =
             document.getElementById(`Quantity-${line}`) || document.getElementById(`Drawer-quantity-${line}`);
           const items = document.querySelectorAll('.cart-item');
 
-          if (parsedState.errors) {
+          if (parsedState.errors || parsedState.status) {
             quantityElement.value = quantityElement.getAttribute('value');
-            this.updateLiveRegions(line, parsedState.errors);
+            this.updateLiveRegions(line, parsedState.errors || parsedState.description || window.cartStrings.error);
             return;
           }
 
@@ -209,15 +308,7 @@ class CartItems extends HTMLElement {
           if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
           if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
 
-          this.getSectionsToRender().forEach((section) => {
-            const elementToReplace =
-              document.getElementById(section.id).querySelector(section.selector) ||
-              document.getElementById(section.id);
-            elementToReplace.innerHTML = this.getSectionInnerHTML(
-              parsedState.sections[section.section],
-              section.selector
-            );
-          });
+          this.renderSections(parsedState);
           const updatedValue = parsedState.items[line - 1] ? parsedState.items[line - 1].quantity : undefined;
           let message = '';
           if (items.length === parsedState.items.length && updatedValue !== parseInt(quantityElement.value)) {
@@ -255,6 +346,188 @@ class CartItems extends HTMLElement {
       });
   }
 
+  removeEmbroidery(line, { key, quantity, addonKeys, properties }) {
+    const cartPerformanceUpdateMarker = CartPerformance.createStartingMarker('remove-embroidery:user-action');
+    this.enableLoading(line);
+
+    // Drop the addon child lines first, then clear the embroidery properties on the parent line
+    // If clearing fails, the children are added back so the embroidery is still charged
+    CartMutationQueue.transaction(async (transaction) => {
+      if (addonKeys.length) {
+        const addonLines = await transaction.getLines(addonKeys);
+
+        await transaction.request(
+          routes.cart_update_url,
+          { updates: Object.fromEntries(addonKeys.map((addonKey) => [addonKey, 0])) },
+          () =>
+            transaction.request(routes.cart_add_url, {
+              items: addonLines.map((line) => ({ ...line, parent_line_key: key })),
+            })
+        );
+      }
+
+      return transaction.request(routes.cart_change_url, {
+        id: key,
+        quantity,
+        properties,
+        sections: this.getSectionsToRender().map((section) => section.section),
+        sections_url: window.location.pathname,
+      });
+    })
+      .then((parsedState) => {
+        CartPerformance.measure('remove-embroidery:paint-updated-sections', () => {
+          this.renderSections(parsedState);
+          this.updateLiveRegions(line, '');
+        });
+
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState });
+      })
+      .catch((error) => {
+        this.updateLiveRegions(line, error.message || window.cartStrings.error);
+      })
+      .finally(() => {
+        this.disableLoading(line);
+        CartPerformance.measureFromMarker('remove-embroidery:user-action', cartPerformanceUpdateMarker);
+      });
+  }
+
+  // Cart store lines of a row and its add-on children, read before removing them so they can be added back
+  getRemovedLines(line) {
+    const lineElement = this.getLineElement(line);
+    const items = CartStore.state?.items || [];
+    const parent = items.find((item) => item.key === lineElement?.dataset.lineKey);
+    if (!parent) return null;
+
+    const childKeys = this.getChildKeys(lineElement);
+    return { parent, children: items.filter((item) => childKeys.includes(item.key)) };
+  }
+
+  // Adds removed lines back as they were, in one cart/add: the children are nested with parent_id, like a product form add,
+  // so they follow the restored parent even when it merges into a line already in the cart
+  restoreLines({ parent, children }) {
+    const cartPerformanceUpdateMarker = CartPerformance.createStartingMarker('undo-remove:user-action');
+    const sections = {
+      sections: this.getSectionsToRender().map((section) => section.section),
+      sections_url: window.location.pathname,
+    };
+    const toItem = (item) => ({
+      id: item.variant_id,
+      quantity: item.quantity,
+      properties: item.properties || {},
+      ...(item.selling_plan_allocation ? { selling_plan: item.selling_plan_allocation.selling_plan.id } : {}),
+    });
+
+    return CartMutationQueue.transaction((transaction) =>
+      transaction.request(routes.cart_add_url, {
+        items: [toItem(parent), ...children.map((child) => ({ ...toItem(child), parent_id: parent.variant_id }))],
+        ...sections,
+      })
+    )
+      .then((parsedState) => {
+        this.classList.remove('is-empty');
+        document.getElementById('main-cart-footer')?.classList.remove('is-empty');
+        document.querySelector('cart-drawer')?.classList.remove('is-empty');
+
+        CartPerformance.measure('undo-remove:paint-updated-sections', () => this.renderSections(parsedState));
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState });
+      })
+      .catch((error) => {
+        const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
+        if (errors) errors.textContent = error.message || window.cartStrings.error;
+      })
+      .finally(() => {
+        CartPerformance.measureFromMarker('undo-remove:user-action', cartPerformanceUpdateMarker);
+      });
+  }
+
+  renderSections(parsedState) {
+    this.getSectionsToRender().forEach((section) => {
+      const elementToReplace =
+        document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
+      elementToReplace.innerHTML = this.getSectionInnerHTML(parsedState.sections[section.section], section.selector);
+    });
+
+    if (this.isConnected) this.sweepOrphans();
+  }
+
+  // Paints optimistic (or reverted) cart store changes on the rendered rows, the section response replaces them after
+  renderStateChanges({ changes, cart }) {
+    const items = new Map(cart.items.map((item) => [item.key, item]));
+
+    changes.forEach(({ key, quantity }) => {
+      const row = this.querySelector(`[data-line-key="${CSS.escape(key)}"]`);
+      if (!row) return;
+
+      row.classList.toggle('hidden', quantity === 0);
+
+      const item = items.get(key);
+      if (!item) return;
+
+      const input = row.querySelector('.quantity__input');
+      if (input) input.value = quantity;
+
+      row.querySelectorAll('.cart-item__price-wrapper .price').forEach((price) => {
+        const cents = price.classList.contains('cart-item__old-price') ? item.original_line_price : item.final_line_price;
+        price.textContent = MoneyFormat.format(cents, { withoutTrailingZeros: true });
+      });
+    });
+
+    document.querySelectorAll('.totals__total-value').forEach((total) => {
+      total.textContent = MoneyFormat.format(cart.total_price, { withCurrency: true });
+    });
+    document.querySelectorAll('.cart-count-bubble span[aria-hidden="true"]').forEach((count) => {
+      count.textContent = cart.item_count;
+    });
+  }
+
+  getLineElement(line) {
+    return this.querySelector(`#CartItem-${line}, #CartDrawer-Item-${line}`);
+  }
+
+  // Keys of the add-on child lines nested under a cart row (data-child-keys, from parent_relationship)
+  getChildKeys(lineElement) {
+    return (lineElement?.dataset.childKeys || '').split(',').filter(Boolean);
+  }
+
+  // Remove add-on child lines whose parent line is gone (rows marked data-orphan), the shopper would still pay for them
+  // A key is swept once per page, unless the request fails: the next render tries it again
+  sweepOrphans() {
+    const keys = Array.from(this.querySelectorAll('[data-orphan]'), (row) => row.dataset.lineKey).filter(
+      (key) => key && !CartItems.#sweptKeys.has(key)
+    );
+    if (keys.length === 0) return;
+
+    keys.forEach((key) => CartItems.#sweptKeys.add(key));
+
+    const body = JSON.stringify({
+      updates: Object.fromEntries(keys.map((key) => [key, 0])),
+      sections: this.getSectionsToRender().map((section) => section.section),
+      sections_url: window.location.pathname,
+    });
+
+    const release = () => keys.forEach((key) => CartItems.#sweptKeys.delete(key));
+
+    return CartMutationQueue.fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
+      .then((response) => response.json())
+      .then((parsedState) => {
+        if (parsedState.status || parsedState.errors) {
+          release();
+          return;
+        }
+
+        this.classList.toggle('is-empty', parsedState.item_count === 0);
+        document.getElementById('main-cart-footer')?.classList.toggle('is-empty', parsedState.item_count === 0);
+        document.querySelector('cart-drawer')?.classList.toggle('is-empty', parsedState.item_count === 0);
+
+        this.renderSections(parsedState);
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState });
+      })
+      .catch((e) => {
+        release();
+        console.error(e);
+      });
+  }
+
   updateLiveRegions(line, message) {
     const lineItemError =
       document.getElementById(`Line-item-error-${line}`) || document.getElementById(`CartDrawer-LineItemError-${line}`);
@@ -313,7 +586,7 @@ if (!customElements.get('cart-note')) {
           'input',
           debounce((event) => {
             const body = JSON.stringify({ note: event.target.value });
-            fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } }).then(() =>
+            CartMutationQueue.fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } }).then(() =>
               CartPerformance.measureFromEvent('note-update:user-action', event)
             );
           }, ON_CHANGE_DEBOUNCE_TIMER)
@@ -0,0 +1,394 @@
+/**
+ * Embroidery Preview Renderer
+ * Draws embroidery text onto a canvas laid over the product image, inside a placement box
+ *
+ * Placement values are fractions of the image size (x, y, max_width, max_height) and degrees (rotation, curve).
+ * A positive curve arches the text upwards, a negative curve bends it into a smile.
+ *
+ * @example
+ * const renderer = new EmbroideryPreviewRenderer(canvas, { x: 0.5, y: 0.6, max_width: 0.4, curve: 20 });
+ * renderer.render({ lines: ['Jane'], color: '#1b3a6b', fontFamily: 'Lato' });
+ */
+
+// Check if already defined to prevent double declaration
+if (!window.EmbroideryPreviewRenderer) {
+
+  class EmbroideryPreviewRenderer {
+    static DEFAULT_PLACEMENT = {
+      x: 0.5,
+      y: 0.5,
+      rotation: 0,
+      maxWidth: 0.5,
+      maxHeight: 0.25,
+      curve: 0
+    };
+
+    static DEFAULT_COLOR = '#1E1E1E';
+    static DEFAULT_FONT_FAMILY = 'sans-serif';
+    static MIN_FONT_SIZE = 8;
+    static LINE_HEIGHT = 1.15;
+    static PROOF_WIDTH = 1000;
+
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas covering the preview image
+     * @param {Object} placement - Placement box from the product metafield
+     */
+    constructor(canvas, placement = {}) {
+      this.canvas = canvas;
+      this.context = canvas.getContext('2d');
+      this.placement = EmbroideryPreviewRenderer.normalizePlacement(placement);
+      this.lastState = null;
+      this.pendingFonts = new Set();
+      this.texture = null;
+    }
+
+    /**
+     * Accept both snake_case (metafield JSON) and camelCase placement keys
+     * @param {Object} placement
+     * @returns {Object} Placement with numeric values and defaults applied
+     */
+    static normalizePlacement(placement = {}) {
+      const defaults = EmbroideryPreviewRenderer.DEFAULT_PLACEMENT;
+      const read = (key, fallback) => {
+        const value = parseFloat(placement[key]);
+        return isNaN(value) ? fallback : value;
+      };
+
+      return {
+        x: read('x', defaults.x),
+        y: read('y', defaults.y),
+        rotation: read('rotation', defaults.rotation),
+        maxWidth: read('max_width', read('maxWidth', defaults.maxWidth)),
+        maxHeight: read('max_height', read('maxHeight', defaults.maxHeight)),
+        curve: read('curve', defaults.curve)
+      };
+    }
+
+    /**
+     * Check if the browser can render the preview
+     * @returns {boolean}
+     */
+    get isSupported() {
+      return !!this.context;
+    }
+
+    /**
+     * Move the text to another placement box and redraw it
+     * @param {Object} placement - Placement box (snake_case or camelCase keys)
+     */
+    setPlacement(placement = {}) {
+      this.placement = EmbroideryPreviewRenderer.normalizePlacement(placement);
+      this.render();
+    }
+
+    /**
+     * Render embroidery text
+     * @param {Object} state
+     * @param {string[]} state.lines - Text lines, top to bottom
+     * @param {string} state.color - Thread color
+     * @param {string} state.fontFamily - Font family name
+     */
+    render(state = this.lastState) {
+      if (!this.isSupported || !state) return;
+      this.lastState = state;
+
+      const { width, height } = this.resize();
+      this.context.clearRect(0, 0, width, height);
+      this.draw(this.context, width, height, state);
+    }
+
+    /**
+     * Draw embroidery text on a context of the given size
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} state - See render()
+     */
+    draw(ctx, width, height, state) {
+      const lines = (state.lines || []).filter(line => line.length > 0);
+      if (lines.length === 0 || width === 0 || height === 0) return;
+
+      const color = state.color || EmbroideryPreviewRenderer.DEFAULT_COLOR;
+      const fontFamily = state.fontFamily || EmbroideryPreviewRenderer.DEFAULT_FONT_FAMILY;
+      const maxWidth = this.placement.maxWidth * width;
+      const maxHeight = this.placement.maxHeight * height;
+      const fontSize = this.fitFontSize(ctx, lines, fontFamily, maxWidth, maxHeight);
+      const font = this.getFont(fontSize, fontFamily);
+
+      this.loadFont(font);
+
+      ctx.save();
+      ctx.translate(this.placement.x * width, this.placement.y * height);
+      ctx.rotate(this.toRadians(this.placement.rotation));
+      ctx.font = font;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+
+      const glyphs = this.layoutLines(ctx, lines, fontSize);
+
+      // Thread body with a soft shadow so the stitches look raised
+      ctx.fillStyle = color;
+      ctx.shadowColor = 'rgba(0, 0, 0, 0.35)';
+      ctx.shadowBlur = fontSize * 0.06;
+      ctx.shadowOffsetY = fontSize * 0.03;
+      this.drawGlyphs(ctx, glyphs, (text) => ctx.fillText(text, 0, 0));
+      ctx.restore();
+
+      this.applyThreadTexture(ctx, width, height);
+
+      // Running stitch outline
+      ctx.save();
+      ctx.translate(this.placement.x * width, this.placement.y * height);
+      ctx.rotate(this.toRadians(this.placement.rotation));
+      ctx.font = font;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+      ctx.lineWidth = Math.max(0.5, fontSize * 0.02);
+      ctx.setLineDash([fontSize * 0.06, fontSize * 0.04]);
+      this.drawGlyphs(ctx, glyphs, (text) => ctx.strokeText(text, 0, 0));
+      ctx.restore();
+    }
+
+    /**
+     * Match the canvas resolution to its displayed size
+     * @returns {{width: number, height: number}} Size in canvas pixels
+     */
+    resize() {
+      const ratio = window.devicePixelRatio || 1;
+      const width = Math.round(this.canvas.clientWidth * ratio);
+      const height = Math.round(this.canvas.clientHeight * ratio);
+
+      if (this.canvas.width !== width || this.canvas.height !== height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+      }
+
+      return { width, height };
+    }
+
+    /**
+     * Find the largest font size at which every line fits the placement box
+     * Curved lines also take the height of their arc (see layoutLines())
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {string[]} lines
+     * @param {string} fontFamily
+     * @param {number} maxWidth - Placement width in canvas pixels
+     * @param {number} maxHeight - Placement height in canvas pixels
+     * @returns {number} Font size in canvas pixels
+     */
+    fitFontSize(ctx, lines, fontFamily, maxWidth, maxHeight) {
+      const { MIN_FONT_SIZE, LINE_HEIGHT } = EmbroideryPreviewRenderer;
+      const referenceSize = 100;
+
+      // Text width and arc height grow linearly with the font size, measure them once at a reference size
+      ctx.font = this.getFont(referenceSize, fontFamily);
+      const widestPerPixel = Math.max(...lines.map(line => ctx.measureText(line).width)) / referenceSize;
+
+      // An arc as long as the line, bent by the curve angle, rises by its sagitta
+      const curve = Math.abs(this.toRadians(this.placement.curve));
+      const arcHeightPerPixel = curve === 0 ? 0 : (widestPerPixel * (1 - Math.cos(curve / 2))) / curve;
+      const heightPerPixel = lines.length * LINE_HEIGHT + arcHeightPerPixel;
+
+      return Math.max(MIN_FONT_SIZE, Math.min(maxWidth / widestPerPixel, maxHeight / heightPerPixel));
+    }
+
+    /**
+     * Position every line (and every character on curved lines) relative to the placement center
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {string[]} lines
+     * @param {number} fontSize
+     * @returns {Array<{text: string, x: number, y: number, angle: number}>}
+     */
+    layoutLines(ctx, lines, fontSize) {
+      const lineHeight = fontSize * EmbroideryPreviewRenderer.LINE_HEIGHT;
+      const firstLineY = -((lines.length - 1) * lineHeight) / 2;
+      const curve = this.toRadians(this.placement.curve);
+      const glyphs = [];
+
+      lines.forEach((line, index) => {
+        const y = firstLineY + index * lineHeight;
+
+        if (curve === 0) {
+          glyphs.push({ text: line, x: 0, y, angle: 0 });
+          return;
+        }
+
+        // Lay characters along an arc whose length equals the straight text width
+        const direction = Math.sign(curve);
+        const lineWidth = ctx.measureText(line).width;
+        const radius = lineWidth / Math.abs(curve);
+        let offset = -lineWidth / 2;
+
+        Array.from(line).forEach(char => {
+          const charWidth = ctx.measureText(char).width;
+          const theta = (offset + charWidth / 2) / radius;
+
+          glyphs.push({
+            text: char,
+            x: radius * Math.sin(theta),
+            y: y + direction * (radius - radius * Math.cos(theta)),
+            angle: direction * theta
+          });
+
+          offset += charWidth;
+        });
+      });
+
+      return glyphs;
+    }
+
+    /**
+     * Draw positioned glyphs with the given paint callback
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Array} glyphs - Output of layoutLines()
+     * @param {Function} paint - Draws text at the origin of the transformed context
+     */
+    drawGlyphs(ctx, glyphs, paint) {
+
+      glyphs.forEach(({ text, x, y, angle }) => {
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+        paint(text);
+        ctx.restore();
+      });
+    }
+
+    /**
+     * Overlay diagonal thread lines on the already drawn text only
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} width
+     * @param {number} height
+     */
+    applyThreadTexture(ctx, width, height) {
+
+      ctx.save();
+      ctx.globalCompositeOperation = 'source-atop';
+      ctx.fillStyle = ctx.createPattern(this.getTexture(), 'repeat');
+      ctx.fillRect(0, 0, width, height);
+      ctx.restore();
+    }
+
+    /**
+     * Build (once) the small tile used as thread texture
+     * @returns {HTMLCanvasElement}
+     */
+    getTexture() {
+      if (this.texture) return this.texture;
+
+      const size = 6;
+      const tile = document.createElement('canvas');
+      tile.width = size;
+      tile.height = size;
+
+      const ctx = tile.getContext('2d');
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.28)';
+      ctx.beginPath();
+      ctx.moveTo(0, size);
+      ctx.lineTo(size, 0);
+      ctx.stroke();
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.18)';
+      ctx.beginPath();
+      ctx.moveTo(0, size - 2);
+      ctx.lineTo(size - 2, 0);
+      ctx.stroke();
+
+      this.texture = tile;
+      return tile;
+    }
+
+    /**
+     * Compose a PNG proof: product image, embroidery text and a caption with the design summary
+     * @param {Object} options
+     * @param {string} options.imageSrc - Product image URL (loaded with CORS so the canvas can be exported)
+     * @param {string[]} options.caption - Caption lines printed under the image
+     * @param {Object} options.state - See render()
+     * @returns {Promise<string>} PNG data URL
+     */
+    async exportProof({ imageSrc, caption = [], state = this.lastState }) {
+      const width = EmbroideryPreviewRenderer.PROOF_WIDTH;
+      const image = await this.loadImage(imageSrc);
+      const imageHeight = image ? Math.round(width * (image.naturalHeight / image.naturalWidth)) : width;
+      const captionLineHeight = 28;
+      const captionHeight = captionLineHeight * caption.length + 32;
+
+      // Text is drawn on its own layer because the thread texture composites over everything on a canvas
+      const layer = document.createElement('canvas');
+      layer.width = width;
+      layer.height = imageHeight;
+      this.draw(layer.getContext('2d'), width, imageHeight, state);
+
+      const proof = document.createElement('canvas');
+      proof.width = width;
+      proof.height = imageHeight + captionHeight;
+
+      const ctx = proof.getContext('2d');
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillRect(0, 0, proof.width, proof.height);
+      if (image) ctx.drawImage(image, 0, 0, width, imageHeight);
+      ctx.drawImage(layer, 0, 0);
+
+      ctx.fillStyle = '#1E1E1E';
+      ctx.font = `16px ${EmbroideryPreviewRenderer.DEFAULT_FONT_FAMILY}`;
+      ctx.textBaseline = 'top';
+      caption.forEach((line, index) => {
+        ctx.fillText(line, 16, imageHeight + 16 + index * captionLineHeight, width - 32);
+      });
+
+      return proof.toDataURL('image/png');
+    }
+
+    /**
+     * Load an image for canvas export
+     * @param {string} src
+     * @returns {Promise<HTMLImageElement|null>} Image, or null if it can't be used (missing or blocked by CORS)
+     */
+    loadImage(src) {
+      if (!src) return Promise.resolve(null);
+
+      return new Promise((resolve) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => resolve(null);
+        image.src = src;
+      });
+    }
+
+    /**
+     * Re-render once a web font finishes loading
+     * @param {string} font - CSS font shorthand
+     */
+    loadFont(font) {
+      if (!document.fonts || document.fonts.check(font) || this.pendingFonts.has(font)) return;
+
+      this.pendingFonts.add(font);
+      document.fonts.load(font)
+        .then(() => this.render())
+        .catch(() => {})
+        .finally(() => this.pendingFonts.delete(font));
+    }
+
+    /**
+     * @param {number} fontSize
+     * @param {string} fontFamily
+     * @returns {string} CSS font shorthand
+     */
+    getFont(fontSize, fontFamily) {
+      return `500 ${Math.round(fontSize)}px "${fontFamily}", ${EmbroideryPreviewRenderer.DEFAULT_FONT_FAMILY}`;
+    }
+
+    /**
+     * @param {number} degrees
+     * @returns {number}
+     */
+    toRadians(degrees) {
+      return (degrees * Math.PI) / 180;
+    }
+  }
+
+  window.EmbroideryPreviewRenderer = EmbroideryPreviewRenderer;
+
+} // End of window.EmbroideryPreviewRenderer check
@@ -1,6 +1,7 @@
 /**
  * Embroidery Customization Component
- * Handles name input, font selection, color selection, and dynamic product options
+ * Handles one or more name lines, font selection, color selection, and dynamic product options
+ * Extends ProductAddon, so product-addon.js must be loaded first
  *
  * @example
  * <c-embroidery data-position="pdp" data-product-id="123">
@@ -11,45 +12,344 @@
 // Check if already defined to prevent double registration
 if (!customElements.get('c-embroidery')) {
 
-  class EmbroideryCustomizer extends Component {
+  /**
+   * Embroidery Text Validator
+   * Checks text against an allowed character set and a blocked word list
+   *
+   * @example
+   * const validator = new EmbroideryTextValidator({ allowedCharacters: 'A-Za-z ', blockedWords: 'foo, bar' });
+   * validator.validate('Jane'); // ''
+   */
+  class EmbroideryTextValidator {
+    /**
+     * @param {Object} options
+     * @param {string} options.allowedCharacters - Character set body, ranges allowed (e.g. "A-Za-z0-9 .-")
+     * @param {string} options.blockedWords - Words separated by commas or new lines
+     */
+    constructor({ allowedCharacters = '', blockedWords = '' } = {}) {
+      this.allowedPattern = EmbroideryTextValidator.buildPattern(allowedCharacters);
+      this.blockedWords = blockedWords
+        .split(/[\n,]/)
+        .map(word => word.trim().toLowerCase())
+        .filter(Boolean);
+    }
+
+    /**
+     * Build a single-character pattern from a character set body
+     * @param {string} allowedCharacters - Character set body
+     * @returns {RegExp|null} Pattern or null if every character is allowed
+     */
+    static buildPattern(allowedCharacters) {
+      if (!allowedCharacters) return null;
+
+      const body = allowedCharacters.replace(/[\\\[\]^]/g, '\\$&');
+
+      try {
+        return new RegExp(`^[${body}]$`, 'u');
+      } catch (error) {
+        console.warn('Embroidery: Invalid allowed characters setting', error);
+        return null;
+      }
+    }
+
+    /**
+     * Get the distinct characters of the text that are not allowed
+     * @param {string} text
+     * @returns {string[]}
+     */
+    getInvalidCharacters(text) {
+      if (!this.allowedPattern) return [];
+
+      // Array.from splits by code point so emoji stay whole
+      const invalid = Array.from(text).filter(char => !this.allowedPattern.test(char));
+      return [...new Set(invalid)];
+    }
+
+    /**
+     * Check if the text contains a blocked word or phrase (whole words only)
+     * @param {string} text
+     * @returns {boolean}
+     */
+    containsBlockedWord(text) {
+      if (this.blockedWords.length === 0) return false;
+
+      const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+      const normalized = ` ${words.join(' ')} `;
+
+      return this.blockedWords.some(blockedWord => normalized.includes(` ${blockedWord} `));
+    }
+
+    /**
+     * Validate text
+     * @param {string} text
+     * @returns {string} Error message, empty string when valid
+     */
+    validate(text) {
+      if (!text) return '';
+
+      const invalidCharacters = this.getInvalidCharacters(text);
+      if (invalidCharacters.length > 0) {
+        return window.embroideryStrings.invalidCharacters.replace('[characters]', invalidCharacters.join(' '));
+      }
+
+      if (this.containsBlockedWord(text)) {
+        return window.embroideryStrings.blockedWord;
+      }
+
+      return '';
+    }
+  }
+
+  /**
+   * Embroidery Lead Time
+   * Estimates when embroidered items ship: production business days after the order, skipping weekends and holidays
+   * Dates are shop calendar days (UTC midnight Dates), so the estimate doesn't depend on the customer's time zone
+   *
+   * @example
+   * const leadTime = new EmbroideryLeadTime({ businessDays: 5, cutoff: '14:00', holidays: '2025-12-25', utcOffset: '-0500' });
+   * leadTime.getEstimate(); // { shipDate: Date, beforeCutoff: true }
+   */
+  class EmbroideryLeadTime {
+    /**
+     * @param {Object} options
+     * @param {number|string} options.businessDays - Production days
+     * @param {string} options.cutoff - Daily cutoff in shop time (HH:MM), later orders start production the next business day
+     * @param {string} options.holidays - Dates without production (YYYY-MM-DD), separated by commas or new lines
+     * @param {string} options.utcOffset - Shop UTC offset (e.g. "-0500"), the browser's when missing
+     */
+    constructor({ businessDays = 0, cutoff = '', holidays = '', utcOffset = '' } = {}) {
+      this.businessDays = Math.max(parseInt(businessDays, 10) || 0, 0);
+      this.cutoffMinutes = EmbroideryLeadTime.parseTime(cutoff);
+      this.holidays = new Set(
+        holidays
+          .split(/[\n,]/)
+          .map(date => date.trim())
+          .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date))
+      );
+      this.offsetMinutes = EmbroideryLeadTime.parseOffset(utcOffset);
+    }
+
+    /**
+     * @param {string} value - Time as HH:MM
+     * @returns {number|null} Minutes after midnight, null without a valid time
+     */
+    static parseTime(value) {
+      const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+      if (!match) return null;
+
+      return Math.min(parseInt(match[1], 10), 23) * 60 + Math.min(parseInt(match[2], 10), 59);
+    }
+
+    /**
+     * @param {string} value - UTC offset as +HHMM or +HH:MM
+     * @returns {number} Offset in minutes
+     */
+    static parseOffset(value) {
+      const match = String(value).trim().match(/^([+-])(\d{2}):?(\d{2})$/);
+      if (!match) return -new Date().getTimezoneOffset();
+
+      const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+      return match[1] === '-' ? -minutes : minutes;
+    }
+
+    /**
+     * @param {Date} day - Shop calendar day
+     * @returns {boolean} Weekday that is not a holiday
+     */
+    isBusinessDay(day) {
+      const weekday = day.getUTCDay();
+      return weekday !== 0 && weekday !== 6 && !this.holidays.has(day.toISOString().slice(0, 10));
+    }
+
+    /**
+     * @param {Date} day - Shop calendar day
+     * @returns {Date} Following business day
+     */
+    nextBusinessDay(day) {
+      const next = new Date(day);
+      do {
+        next.setUTCDate(next.getUTCDate() + 1);
+      } while (!this.isBusinessDay(next));
+
+      return next;
+    }
+
+    /**
+     * Estimate the ship date of an order placed now
+     * @param {Date} [now]
+     * @returns {{shipDate: Date, beforeCutoff: boolean}} beforeCutoff: production still starts today
+     */
+    getEstimate(now = new Date()) {
+      const shopNow = new Date(now.getTime() + this.offsetMinutes * 60000);
+      const today = new Date(Date.UTC(shopNow.getUTCFullYear(), shopNow.getUTCMonth(), shopNow.getUTCDate()));
+      const minutes = shopNow.getUTCHours() * 60 + shopNow.getUTCMinutes();
+
+      const beforeCutoff = this.isBusinessDay(today) && (this.cutoffMinutes === null || minutes < this.cutoffMinutes);
+
+      let shipDate = beforeCutoff ? today : this.nextBusinessDay(today);
+      for (let day = 0; day < this.businessDays; day++) {
+        shipDate = this.nextBusinessDay(shipDate);
+      }
+
+      return { shipDate, beforeCutoff: beforeCutoff && this.cutoffMinutes !== null };
+    }
+
+    /**
+     * @param {Date} day - Shop calendar day
+     * @returns {string} e.g. "Friday, March 6"
+     */
+    static formatDate(day) {
+      return day.toLocaleDateString(document.documentElement.lang || undefined, {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+      });
+    }
+
+    /**
+     * @returns {string} Cutoff time in the customer's locale, e.g. "2:00 PM"
+     */
+    formatCutoff() {
+      return new Date(Date.UTC(2000, 0, 1, 0, this.cutoffMinutes || 0)).toLocaleTimeString(
+        document.documentElement.lang || undefined,
+        { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' }
+      );
+    }
+  }
+
+  class EmbroideryCustomizer extends ProductAddon {
     // Constants
     static POSITIONS = {
       PDP: 'pdp',
-      DRAWER: 'drawer'
+      DRAWER: 'drawer',
+      CART: 'cart'
     };
 
     static SELECTORS = {
       NAME_INPUT: '[data-embroidery-name]',
+      NAME_LINE: '[data-embroidery-line]',
       CHECKBOX: '[data-embroidery-checkbox]',
       NAME_LENGTH: '[data-name-length]',
+      NAME_ERROR: '[data-embroidery-error]',
       PREVIEW_TEXT: '[data-preview-text]',
+      PREVIEW_LINE: '[data-preview-line]',
+      PREVIEW_CANVAS: '[data-preview-canvas]',
+      PREVIEW_IMAGE: '[data-preview-container] img',
       OPTION_FIELDSET: 'fieldset[data-option-name]',
       RADIO_INPUT: 'input[type="radio"]',
       CHECKED_RADIO: 'input[type="radio"]:checked',
       PRICE_DISPLAY: '[data-embroidery-price]',
+      PROOF_BUTTON: '[data-embroidery-proof]',
+      EDIT_BUTTON: '[data-embroidery-edit]',
+      CONTRAST_WARNING: '[data-contrast-warning]',
+      SHIP_DATE: '[data-embroidery-ship-date]',
+      PLACEMENT_FIELDSET: '[data-placement-fieldset]',
+      PLACEMENT_INPUT: '[data-placement-input]',
       ACCORDION: 'c-accordion',
-      PRODUCT_FORM: 'product-form',
-      ADD_BUTTON: 'button[name="add"]'
+      ADD_BUTTON: 'button[name="add"]',
+      BULK: '[data-embroidery-bulk]',
+      BULK_TOGGLE: '[data-bulk-toggle]',
+      BULK_FIELDS: '[data-bulk-fields]',
+      BULK_NAMES: '[data-bulk-names]',
+      BULK_NAME: '[data-bulk-name]',
+      BULK_TEMPLATE: '[data-bulk-name-template]',
+      BULK_LIST: '[data-bulk-list]',
+      BULK_FILE: '[data-bulk-file]',
+      BULK_SUMMARY: '[data-bulk-summary]'
     };
 
+    // Name this customizer registers its addons under
+    static ADDON_SOURCE = 'embroidery';
+
+    // sessionStorage key prefix of the in-progress design, one entry per product
+    static STORAGE_PREFIX = 'embroidery:';
+
+    // Thread color option (handleized name) and the lowest thread/bag contrast ratio that stays readable
+    static COLOR_OPTION = 'color';
+    static MIN_THREAD_CONTRAST = 3;
+    static MAX_THREAD_SUGGESTIONS = 3;
+
+    // The ship date estimate is refreshed every minute, so it moves on once the cutoff passes
+    static SHIP_DATE_REFRESH = 60000;
+
     constructor() {
       super();
       this.position = this.dataset.position || EmbroideryCustomizer.POSITIONS.PDP;
-      this.productId = this.dataset.variantId;
+      this.variantId = this.dataset.variantId;
       this.basePrice = 0; // Will be set from data-additional-price
+      this.validators = new Map(); // Text validators keyed by allowed character set
 
-      // Drawer-specific data (cart line item info)
+      // Cart line data (drawer and cart page)
       this.lineItemId = this.dataset.lineItemId || null;
       this.lineItemKey = this.dataset.lineItemKey || null;
       this.lineItemQuantity = this.dataset.lineItemQuantity || 1;
+      this.addonKeys = (this.dataset.addonKeys || '').split(',').filter(Boolean);
 
-      // Flag to prevent duplicate operations in drawer
+      // Cart line that already has embroidery: the form edits it in place
+      this.isEditMode = this.isCartLine() && this.dataset.addedToCart === 'true';
+      this.isPrefilled = false;
+
+      // Flag to prevent duplicate operations on a cart line
       this.addedToCart = false;
+
+      this.leadTime = new EmbroideryLeadTime({
+        businessDays: this.dataset.leadDays,
+        cutoff: this.dataset.cutoffTime,
+        holidays: this.dataset.holidays || '',
+        utcOffset: this.dataset.shopUtcOffset
+      });
+      this.shipDateLabel = null;
+      this.shipDateTimer = null;
+
+      // Placement shown in the preview, the last one selected
+      this.previewPlacementInput = null;
+
+      // Bulk mode: unit name shown in the preview
+      this.bulkPreviewIndex = 0;
+      this.quantityChangeHandler = this.handleQuantityChange.bind(this);
+
+      this.previewRenderer = null;
+      this.resizeObserver = null;
+      this.variantChangeUnsubscriber = undefined;
+      this.cartUpdateUnsubscriber = undefined;
     }
 
     onDOMReady() {
+      // Injected and removed again before the DOM was ready (e.g. quick add modal closed)
+      if (!this.isConnected) return;
+
+      // Moved by a section or quick add update: elements and DOM listeners are still bound
+      if (this.els) {
+        this.subscribeToEvents();
+        this.startShipDateTimer();
+        if (this.els.previewCanvas) this.resizeObserver?.observe(this.els.previewCanvas);
+        if (!this.isEditMode) this.updatePreview();
+        return;
+      }
+
       this.getElements();
+      this.setupPreviewRenderer();
       this.setupEventListeners();
+      this.subscribeToEvents();
+      this.updateBulkFields();
+      this.restoreState();
+      this.updatePlacementPreview();
+      this.applyVariantRules(this.variantId);
+      this.updateContrastWarning();
+      this.startShipDateTimer();
+    }
+
+    onDisconnected() {
+      this.variantChangeUnsubscriber?.();
+      this.cartUpdateUnsubscriber?.();
+      this.resizeObserver?.disconnect();
+      clearInterval(this.shipDateTimer);
+      document.removeEventListener('input', this.quantityChangeHandler);
+      document.removeEventListener('change', this.quantityChangeHandler);
+
+      // A closed quick add modal or replaced product info must not add embroidery with the next submit
+      super.onDisconnected();
     }
 
     // ==================== Element Caching ====================
@@ -61,27 +361,52 @@ if (!customElements.get('c-embroidery')) {
       const { SELECTORS } = EmbroideryCustomizer;
 
       const accordion = this.querySelector(SELECTORS.ACCORDION);
-      const productForm = document.querySelector(SELECTORS.PRODUCT_FORM);
+      const productForm = this.getProductForm();
 
       let checkbox = this.querySelector(SELECTORS.CHECKBOX);
       if (!checkbox && accordion) {
         checkbox = accordion.querySelector(SELECTORS.CHECKBOX);
       }
 
+      const nameInputs = this.querySelectorAll(SELECTORS.NAME_INPUT);
+
       this.els = {
-        nameInput: this.querySelector(SELECTORS.NAME_INPUT),
+        nameInput: nameInputs[0] || null,
+        nameInputs: nameInputs,
         checkbox: checkbox,
         nameLength: this.querySelector(SELECTORS.NAME_LENGTH),
         previewText: this.querySelector(SELECTORS.PREVIEW_TEXT),
+        previewLines: this.querySelectorAll(SELECTORS.PREVIEW_LINE),
+        previewCanvas: this.querySelector(SELECTORS.PREVIEW_CANVAS),
+        previewImage: this.querySelector(SELECTORS.PREVIEW_IMAGE),
+        proofButton: this.querySelector(SELECTORS.PROOF_BUTTON),
+        editButton: this.querySelector(SELECTORS.EDIT_BUTTON),
+        contrastWarning: this.querySelector(SELECTORS.CONTRAST_WARNING),
+        shipDate: this.querySelector(SELECTORS.SHIP_DATE),
+        placementFieldset: this.querySelector(SELECTORS.PLACEMENT_FIELDSET),
+        placementInputs: this.querySelectorAll(SELECTORS.PLACEMENT_INPUT),
         optionFieldsets: this.querySelectorAll(SELECTORS.OPTION_FIELDSET),
         priceDisplay: accordion?.querySelector(SELECTORS.PRICE_DISPLAY) || this.querySelector(SELECTORS.PRICE_DISPLAY),
         productForm: productForm,
-        addButton: this.isPDP() ? productForm?.querySelector(SELECTORS.ADD_BUTTON) : this.isDrawer() ? this.querySelector(SELECTORS.ADD_BUTTON) : null,
-        accordion: accordion
+        addButton: this.isPDP() ? productForm?.querySelector(SELECTORS.ADD_BUTTON) : this.isCartLine() ? this.querySelector(SELECTORS.ADD_BUTTON) : null,
+        accordion: accordion,
+        bulk: this.querySelector(SELECTORS.BULK),
+        bulkToggle: this.querySelector(SELECTORS.BULK_TOGGLE),
+        bulkFields: this.querySelector(SELECTORS.BULK_FIELDS),
+        bulkNames: this.querySelector(SELECTORS.BULK_NAMES),
+        bulkTemplate: this.querySelector(SELECTORS.BULK_TEMPLATE),
+        bulkList: this.querySelector(SELECTORS.BULK_LIST),
+        bulkFile: this.querySelector(SELECTORS.BULK_FILE),
+        bulkSummary: this.querySelector(SELECTORS.BULK_SUMMARY)
       };
       if (this.els.priceDisplay?.dataset.additionalPrice) {
         this.basePrice = parseInt(this.els.priceDisplay.dataset.additionalPrice, 10);
       }
+
+      // The cart shows what the current addons cost, edits are priced like a fresh add
+      if (this.isEditMode && this.els.priceDisplay?.dataset.editPrice) {
+        this.basePrice = parseInt(this.els.priceDisplay.dataset.editPrice, 10);
+      }
     }
 
     // ==================== Position Helpers ====================
@@ -102,15 +427,431 @@ if (!customElements.get('c-embroidery')) {
       return this.position === EmbroideryCustomizer.POSITIONS.DRAWER;
     }
 
+    /**
+     * Check if component customizes a cart line (cart drawer or cart page)
+     * @returns {boolean}
+     */
+    isCartLine() {
+      return this.isDrawer() || this.position === EmbroideryCustomizer.POSITIONS.CART;
+    }
+
+    // ==================== Preview Renderer ====================
+
+    /**
+     * Create the canvas renderer that draws the text over the preview image
+     * The text paragraph stays in the DOM for screen readers
+     */
+    setupPreviewRenderer() {
+      const { previewCanvas, previewImage, previewText } = this.els;
+      if (!previewCanvas || !window.EmbroideryPreviewRenderer) return;
+
+      const renderer = new EmbroideryPreviewRenderer(previewCanvas, this.getPlacement());
+      if (!renderer.isSupported) return;
+
+      this.previewRenderer = renderer;
+      previewText?.classList.add('visually-hidden');
+
+      // The canvas has no size until the accordion opens and the image loads
+      this.resizeObserver = new ResizeObserver(() => renderer.render());
+      this.resizeObserver.observe(previewCanvas);
+      previewImage?.addEventListener('load', () => renderer.render());
+    }
+
+    /**
+     * Get the placement box of the previewed placement, otherwise the one from the product metafield
+     * @returns {Object} Normalized placement (see EmbroideryPreviewRenderer)
+     */
+    getPlacement() {
+      const source = this.getPreviewPlacementInput()?.dataset.placement || this.dataset.placement;
+
+      let placement = {};
+      try {
+        placement = JSON.parse(source || '{}') || {};
+      } catch (error) {
+        console.warn('Embroidery: Invalid placement metafield', error);
+      }
+
+      return window.EmbroideryPreviewRenderer
+        ? EmbroideryPreviewRenderer.normalizePlacement(placement)
+        : placement;
+    }
+
+    /**
+     * Swap the preview image when the tote variant changes
+     * @param {Object} event - variantChange payload from ProductInfo
+     */
+    handleVariantChange({ data }) {
+      const productInfo = this.closest('product-info');
+      if (!productInfo || productInfo.sectionId !== data.sectionId) return;
+
+      // Re-evaluate the variant rules, re-register the addons and keep the stored design in sync
+      if (data.variant?.id) this.variantId = String(data.variant.id);
+      this.applyVariantRules(data.variant?.id);
+      this.updateContrastWarning();
+
+      // A placement with its own image keeps showing it
+      if (this.getPreviewPlacementInput()?.dataset.mediaSrc) return;
+
+      const imageSrc = data.variant?.featured_media?.preview_image?.src;
+      if (!imageSrc || !this.els.previewImage) return;
+
+      const url = new URL(imageSrc, window.location.origin);
+      url.searchParams.set('width', 600);
+
+      this.els.previewImage.removeAttribute('srcset');
+      this.els.previewImage.src = url.toString();
+    }
+
+    // ==================== Variant Rules ====================
+
+    /**
+     * Parse a JSON data attribute
+     * @param {string} name - Dataset key
+     * @returns {Object}
+     */
+    getJSONData(name) {
+      try {
+        return JSON.parse(this.dataset[name] || '{}') || {};
+      } catch (error) {
+        console.warn(`Embroidery: Invalid ${name}`, error);
+        return {};
+      }
+    }
+
+    /**
+     * Get the embroidery rules of a tote variant (custom.embroidery_rules metafield)
+     * @param {string|number} variantId
+     * @returns {{disabled?: boolean, allowed_options?: Object, base_variant_id?: number}}
+     */
+    getVariantRules(variantId) {
+      return this.getJSONData('variantRules')[variantId] || {};
+    }
+
+    /**
+     * Apply the rules of a tote variant: availability, allowed options and base price
+     * @param {string|number} variantId
+     */
+    applyVariantRules(variantId) {
+      const { SELECTORS } = EmbroideryCustomizer;
+      const rules = this.getVariantRules(variantId);
+
+      // Existing cart embroidery stays editable whatever the rules say
+      const disabled = Boolean(rules.disabled) && !this.isEditMode;
+      this.hidden = disabled;
+      if (disabled) {
+        this.els.accordion?.close?.();
+        this.clearAddons();
+        return;
+      }
+
+      this.els.optionFieldsets.forEach(fieldset => {
+        const allowedValues = rules.allowed_options?.[fieldset.dataset.optionName];
+
+        fieldset.querySelectorAll(SELECTORS.RADIO_INPUT).forEach(radio => {
+          const isAllowed = !Array.isArray(allowedValues) || allowedValues.includes(radio.value);
+          radio.disabled = !isAllowed;
+          if (!isAllowed) radio.checked = false;
+        });
+      });
+
+      // Charge the base product variant the rules point at, otherwise the default one
+      const baseVariants = this.getJSONData('baseVariants');
+      const baseVariantId = baseVariants[rules.base_variant_id] !== undefined
+        ? String(rules.base_variant_id)
+        : this.dataset.defaultBaseVariant;
+
+      if (baseVariantId && baseVariants[baseVariantId] !== undefined) {
+        const price = parseInt(baseVariants[baseVariantId], 10);
+        this.els.nameInputs.forEach(input => {
+          input.dataset.variantId = baseVariantId;
+          input.dataset.optionPrice = price;
+        });
+        this.basePrice = this.isCartLine() ? price * (parseInt(this.lineItemQuantity, 10) || 1) : price;
+      }
+
+      // A closed edit form keeps showing what the cart line currently pays
+      if (!this.isEditMode) this.updatePreview();
+    }
+
+    // ==================== Thread Contrast ====================
+
+    /**
+     * Warn when the selected thread is hard to see on the bag and suggest better threads
+     */
+    updateContrastWarning() {
+      const { SELECTORS, COLOR_OPTION, MIN_THREAD_CONTRAST, MAX_THREAD_SUGGESTIONS } = EmbroideryCustomizer;
+      const warning = this.els.contrastWarning;
+      if (!warning) return;
+
+      const bagColor = this.getJSONData('bagColors')[this.variantId];
+      const fieldset = this.querySelector(`${SELECTORS.OPTION_FIELDSET}[data-option-name="${COLOR_OPTION}"]`);
+      const selectedInput = fieldset?.querySelector(SELECTORS.CHECKED_RADIO);
+      const contrast = (input) => EmbroideryCustomizer.getContrastRatio(input.dataset.optionValue, bagColor);
+
+      if (!bagColor || !selectedInput || contrast(selectedInput) >= MIN_THREAD_CONTRAST) {
+        warning.hidden = true;
+        warning.replaceChildren();
+        return;
+      }
+
+      const suggestions = Array.from(fieldset.querySelectorAll(SELECTORS.RADIO_INPUT))
+        .filter(input => !input.disabled && contrast(input) >= MIN_THREAD_CONTRAST)
+        .sort((a, b) => contrast(b) - contrast(a))
+        .slice(0, MAX_THREAD_SUGGESTIONS);
+
+      const message = document.createElement('p');
+      message.textContent = suggestions.length > 0
+        ? `${window.embroideryStrings.lowContrast} ${window.embroideryStrings.contrastSuggestions}`
+        : window.embroideryStrings.lowContrast;
+
+      const buttons = suggestions.map(input => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'link';
+        button.textContent = input.value;
+        button.addEventListener('click', () => {
+          input.checked = true;
+          input.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+        return button;
+      });
+
+      warning.replaceChildren(message, ...buttons);
+      warning.hidden = false;
+    }
+
+    /**
+     * WCAG contrast ratio between two colors
+     * @param {string} colorA - Hex (#rgb, #rrggbb) or rgb() color
+     * @param {string} colorB - Hex (#rgb, #rrggbb) or rgb() color
+     * @returns {number} 1 to 21, Infinity when a color can't be parsed (no warning)
+     */
+    static getContrastRatio(colorA, colorB) {
+      const luminanceA = EmbroideryCustomizer.getLuminance(colorA);
+      const luminanceB = EmbroideryCustomizer.getLuminance(colorB);
+      if (luminanceA === null || luminanceB === null) return Infinity;
+
+      const [lighter, darker] = luminanceA > luminanceB ? [luminanceA, luminanceB] : [luminanceB, luminanceA];
+      return (lighter + 0.05) / (darker + 0.05);
+    }
+
+    /**
+     * WCAG relative luminance of a color
+     * @param {string} color - Hex (#rgb, #rrggbb) or rgb() color
+     * @returns {number|null}
+     */
+    static getLuminance(color) {
+      const value = String(color || '').trim();
+      let channels = null;
+
+      const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+      const rgb = value.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i);
+
+      if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        channels = [0, 2, 4].map(index => parseInt(digits.slice(index, index + 2), 16));
+      } else if (rgb) {
+        channels = rgb.slice(1, 4).map(Number);
+      }
+
+      if (!channels) return null;
+
+      const [r, g, b] = channels.map(channel => {
+        const srgb = channel / 255;
+        return srgb <= 0.03928 ? srgb / 12.92 : ((srgb + 0.055) / 1.055) ** 2.4;
+      });
+
+      return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    // ==================== Placements ====================
+
+    /**
+     * Get the selected placement inputs (front pocket, back, strap...)
+     * @returns {HTMLInputElement[]} Empty when the product has no placements
+     */
+    getSelectedPlacements() {
+      return Array.from(this.els.placementInputs || []).filter(input => input.checked);
+    }
+
+    /**
+     * Get the placement shown in the preview: the last one selected while it stays selected, otherwise the first selected
+     * @returns {HTMLInputElement|null}
+     */
+    getPreviewPlacementInput() {
+      if (this.previewPlacementInput?.checked) return this.previewPlacementInput;
+      return this.getSelectedPlacements()[0] || null;
+    }
+
+    /**
+     * Show the previewed placement: its placement box and, when it has one, its product image
+     */
+    updatePlacementPreview() {
+      const input = this.getPreviewPlacementInput();
+      if (!input) return;
+
+      this.previewRenderer?.setPlacement(this.getPlacement());
+
+      const mediaSrc = input.dataset.mediaSrc;
+      const { previewImage } = this.els;
+      if (!mediaSrc || !previewImage || previewImage.getAttribute('src') === mediaSrc) return;
+
+      previewImage.removeAttribute('srcset');
+      previewImage.src = mediaSrc;
+    }
+
+    /**
+     * Handle a placement being selected or cleared
+     * @param {Event} event
+     */
+    handlePlacementChange(event) {
+      // Prevent changes once the cart line is updated
+      if (this.addedToCart && this.isCartLine()) return;
+
+      if (event.target.checked) this.previewPlacementInput = event.target;
+
+      this.updatePlacementPreview();
+      this.updatePreview();
+    }
+
+    // ==================== Lead Time ====================
+
+    startShipDateTimer() {
+      clearInterval(this.shipDateTimer);
+      this.updateShipDate();
+      this.shipDateTimer = setInterval(() => this.updateShipDate(), EmbroideryCustomizer.SHIP_DATE_REFRESH);
+    }
+
+    /**
+     * Show the estimated ship date, and keep the registered ship date property current once the cutoff passes
+     */
+    updateShipDate() {
+      const { shipDate, beforeCutoff } = this.leadTime.getEstimate();
+      const label = EmbroideryLeadTime.formatDate(shipDate);
+
+      if (this.els.shipDate) {
+        this.els.shipDate.textContent = beforeCutoff
+          ? window.embroideryStrings.shipDateCutoff.replace('[time]', this.leadTime.formatCutoff()).replace('[date]', label)
+          : window.embroideryStrings.shipDate.replace('[date]', label);
+        this.els.shipDate.hidden = false;
+      }
+
+      const hasChanged = this.shipDateLabel !== null && this.shipDateLabel !== label;
+      this.shipDateLabel = label;
+
+      if (hasChanged && this.getRegisteredAddons()) this.buildItemsAddons();
+    }
+
+    /**
+     * Ship date properties stored with the embroidered line
+     * @returns {Object} Line item properties
+     */
+    getShipDateProperties() {
+      const { shipDate } = this.leadTime.getEstimate();
+
+      return {
+        'Embroidery Ships By': EmbroideryLeadTime.formatDate(shipDate),
+        '_Embroidery Ship Date': shipDate.toISOString().slice(0, 10)
+      };
+    }
+
+    // ==================== Persistence ====================
+
+    /**
+     * Only the product page keeps an in-progress design, cart lines already store theirs
+     * @returns {boolean}
+     */
+    canPersist() {
+      return this.isPDP() && Boolean(this.dataset.productId);
+    }
+
+    /**
+     * @returns {string} sessionStorage key of this product's design
+     */
+    getStorageKey() {
+      return `${EmbroideryCustomizer.STORAGE_PREFIX}${this.dataset.productId}`;
+    }
+
+    /**
+     * Store the in-progress design so a reload or product info swap doesn't lose it
+     */
+    saveState() {
+      if (!this.canPersist()) return;
+
+      const options = {};
+      this.els.optionFieldsets.forEach(fieldset => {
+        const selectedInput = fieldset.querySelector(EmbroideryCustomizer.SELECTORS.CHECKED_RADIO);
+        if (selectedInput) options[fieldset.dataset.optionName] = selectedInput.value;
+      });
+
+      const state = {
+        enabled: Boolean(this.els.checkbox?.checked),
+        lines: Array.from(this.els.nameInputs, input => input.value),
+        options,
+        placements: this.getSelectedPlacements().map(input => input.value),
+        bulk: this.isBulkMode() ? this.getBulkNames() : []
+      };
+
+      try {
+        sessionStorage.setItem(this.getStorageKey(), JSON.stringify(state));
+      } catch (error) {
+        console.warn('Embroidery: Unable to store design', error);
+      }
+    }
+
+    /**
+     * Restore the design stored by saveState()
+     */
+    restoreState() {
+      if (!this.canPersist()) return;
+
+      let state = null;
+      try {
+        state = JSON.parse(sessionStorage.getItem(this.getStorageKey()));
+      } catch (error) {
+        console.warn('Embroidery: Invalid stored design', error);
+      }
+      if (!state) return;
+
+      this.applyDesign({ lines: state.lines || [], options: state.options || {}, optionValues: [], placements: state.placements });
+      if (state.enabled) this.els.accordion?.open?.();
+
+      // Restores the quantity too, one unit per name
+      if (state.bulk?.length > 1) {
+        this.applyBulkNames(state.bulk);
+        return;
+      }
+
+      this.updatePreview();
+    }
+
+    clearState() {
+      if (!this.canPersist()) return;
+      sessionStorage.removeItem(this.getStorageKey());
+    }
+
+    /**
+     * Forget the stored design once this product was added to the cart with it
+     * @param {Object} event - cartUpdate payload
+     */
+    handleCartUpdate(event) {
+      if (event.source !== 'product-form') return;
+
+      const productForm = this.els.productForm;
+      if (productForm && String(event.productVariantId) !== String(productForm.variantIdInput?.value)) return;
+
+      this.clearState();
+    }
+
     // ==================== Event Listeners ====================
 
     /**
      * Setup all event listeners
      */
     setupEventListeners() {
-      if (this.els.nameInput) {
-        this.els.nameInput.addEventListener('input', this.handleNameInput.bind(this));
-      }
+      this.els.nameInputs.forEach(input => {
+        input.addEventListener('input', this.handleNameInput.bind(this));
+      });
 
       if (this.els.accordion) {
         this.els.accordion.addEventListener('accordion:toggle', (e) => {
@@ -122,20 +863,48 @@ if (!customElements.get('c-embroidery')) {
         fieldset.addEventListener('change', this.handleOptionChange.bind(this));
       });
 
-      if (this.els.addButton && this.isDrawer()) {
+      this.els.placementFieldset?.addEventListener('change', this.handlePlacementChange.bind(this));
+
+      if (this.els.addButton && this.isCartLine()) {
         this.els.addButton.addEventListener('click', this.handleAddButtonClick.bind(this));
       }
+
+      if (this.els.proofButton) {
+        this.els.proofButton.addEventListener('click', this.handleProofDownload.bind(this));
+      }
+
+      if (this.els.bulk) {
+        this.els.bulkToggle?.addEventListener('change', this.handleBulkToggle.bind(this));
+        this.els.bulkNames?.addEventListener('input', this.handleBulkNameInput.bind(this));
+        this.els.bulkNames?.addEventListener('focusin', this.handleBulkNameInput.bind(this));
+        this.els.bulkList?.addEventListener('change', this.handleBulkList.bind(this));
+        this.els.bulkFile?.addEventListener('change', this.handleBulkFile.bind(this));
+      }
+    }
+
+    /**
+     * Subscribe to pubsub events (again after a reconnect, onDisconnected unsubscribes)
+     */
+    subscribeToEvents() {
+      this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, this.handleVariantChange.bind(this));
+      this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, this.handleCartUpdate.bind(this));
+
+      // The quantity input can sit outside the product form and be re-rendered, so its changes are caught on the document
+      if (this.els.bulk) {
+        document.addEventListener('input', this.quantityChangeHandler);
+        document.addEventListener('change', this.quantityChangeHandler);
+      }
     }
 
     // ==================== Event Handlers ====================
 
     /**
-     * Handle add button click event on Drawer
+     * Handle add button click event on a cart line
      * @param {Event} event - Add button click event
      */
     async handleAddButtonClick(event = null) {
-      // Prevent duplicate operations if already added to cart in drawer
-      if (this.addedToCart && this.isDrawer()) return;
+      // Prevent duplicate operations once the cart line is updated
+      if (this.addedToCart && this.isCartLine()) return;
 
       console.log("handleAddButtonClick::", event);
 
@@ -159,7 +928,7 @@ if (!customElements.get('c-embroidery')) {
     }
 
     /**
-     * Add embroidery customization to cart (drawer context)
+     * Add embroidery customization to a cart line (drawer or cart page)
      * Updates line item properties and adds embroidery addon items
      */
     async addEmbroideryToCart() {
@@ -171,93 +940,103 @@ if (!customElements.get('c-embroidery')) {
       // Rebuild addons to ensure we have the latest data
       this.buildItemsAddons();
 
-      if (!window.embroideryAddons) {
+      const addons = this.getRegisteredAddons();
+      if (!addons) {
         console.error('Missing embroidery addons');
         return;
       }
 
       const quantity = parseInt(this.lineItemQuantity, 10) || 1;
 
-      // Prepare cart change request (update main product properties)
-      const changeBody = JSON.stringify({
-        id: this.lineItemKey,
-        quantity: this.lineItemQuantity,
-        properties: window.embroideryAddons.properties || {},
-        sections: this.getSectionsToRender(),
-        sections_url: window.location.pathname
-      });
-
-      // Prepare cart add request (add all embroidery items: base product + options)
-      const addItems = window.embroideryAddons.items?.map(item => ({
+      // Add all embroidery items (base product + color + font options)
+      const addItems = addons.items.map(item => ({
         id: item.id,
         quantity: quantity,
+        properties: { ...item.properties, [ProductFormAddons.CHILD_PROPERTY]: this.variantId },
         parent_line_key: this.lineItemKey
-      })) || [];
+      }));
 
-      const addBody = JSON.stringify({
-        items: addItems,
-        sections: this.getSectionsToRender(),
-        sections_url: window.location.pathname
-      });
+      // Update main product (tote bag) properties, keeping the ones embroidery doesn't own
+      const properties = {
+        ...this.getRetainedProperties(),
+        ...addons.properties
+      };
 
-      // Execute both requests in parallel using Promise.all
-      const [changeResponse, addResponse] = await Promise.all([
-
-        // Add all embroidery items (base product + color + font options)
-        addItems.length > 0
-          ? fetch(`${routes.cart_add_url}`, {
-            ...fetchConfig(),
-            body: addBody
-          }).then(res => res.json())
-          : Promise.resolve(null),
-
-        // Update main product (tote bag) properties
-        setTimeout(() => {
-          fetch(`${routes.cart_change_url}`, {
-            ...fetchConfig(),
-            body: changeBody
-          }).then(res => res.json())
-        }, 200)
-      ]);
-
-      // Check for errors
-      if (changeResponse.status || changeResponse.errors) {
-        throw new Error(changeResponse.description || changeResponse.errors || 'Failed to update properties');
-      }
-
-      if (addResponse && (addResponse.status || addResponse.errors)) {
-        throw new Error(addResponse.description || addResponse.errors || 'Failed to add embroidery items');
-      }
-
-      await fetch(`${routes.cart_url}?section_id=cart-drawer`)
-        .then((response) => response.text())
-        .then((responseText) => {
-          const html = new DOMParser().parseFromString(responseText, 'text/html');
-          const selectors = ['cart-drawer-items', '.cart-drawer__footer'];
-          for (const selector of selectors) {
-            const targetElement = document.querySelector(selector);
-            const sourceElement = html.querySelector(selector);
-            if (targetElement && sourceElement) {
-              targetElement.replaceWith(sourceElement);
-            }
-          }
+      // One queued mutation: a failed step undoes the ones before it
+      const state = await CartMutationQueue.transaction(async (transaction) => {
+        // Editing: drop the current addon lines before adding the new ones
+        if (this.isEditMode && this.addonKeys.length > 0) {
+          const addonLines = await transaction.getLines(this.addonKeys);
+
+          await transaction.request(
+            routes.cart_update_url,
+            { updates: Object.fromEntries(this.addonKeys.map(key => [key, 0])) },
+            () => transaction.request(routes.cart_add_url, {
+              items: addonLines.map(line => ({ ...line, parent_line_key: this.lineItemKey }))
+            })
+          );
+        }
 
-          // Mark as added to cart (drawer context only)
-          if (this.isDrawer()) {
-            this.addedToCart = true;
-          }
+        if (addItems.length > 0) {
+          await transaction.request(
+            routes.cart_add_url,
+            { items: addItems },
+            (state) => transaction.request(routes.cart_update_url, {
+              updates: Object.fromEntries(state.items.map(item => [item.key, 0]))
+            })
+          );
+        }
 
-          // Clean up embroidery addons after successful add
-          delete window.embroideryAddons;
-        })
-        .catch((e) => {
-          console.error(e);
-          publish(PUB_SUB_EVENTS.cartError, {
-            source: 'embroidery',
-            error: e.message
-          });
-          window.location.reload();
+        return transaction.request(routes.cart_change_url, {
+          id: this.lineItemKey,
+          quantity: quantity,
+          properties
         });
+      });
+
+      // Mark as added to cart (cart line context only)
+      this.addedToCart = true;
+
+      // Clean up embroidery addons after successful add
+      this.clearAddons();
+
+      // The cart drawer and the cart page re-render their own sections
+      await publish(PUB_SUB_EVENTS.cartUpdate, {
+        source: 'embroidery',
+        cartData: state
+      });
+    }
+
+    /**
+     * Get the cart line properties (cart line context)
+     * @returns {Object} Line item properties
+     */
+    getLineProperties() {
+      try {
+        return JSON.parse(this.dataset.lineProperties || '{}') || {};
+      } catch (error) {
+        console.warn('Embroidery: Invalid line item properties', error);
+        return {};
+      }
+    }
+
+    /**
+     * Get the line properties that don't belong to embroidery
+     * @returns {Object} Line item properties without embroidery keys
+     */
+    getRetainedProperties() {
+      return Object.fromEntries(
+        Object.entries(this.getLineProperties()).filter(([key]) => !EmbroideryCustomizer.isEmbroideryProperty(key))
+      );
+    }
+
+    /**
+     * Check if a line item property is written by the embroidery customizer
+     * @param {string} key - Property name
+     * @returns {boolean}
+     */
+    static isEmbroideryProperty(key) {
+      return key.startsWith('Embroidery ') || key.startsWith('_Embroidery ') || key === '_embroidery' || key === '_Addons';
     }
 
     /**
@@ -280,12 +1059,10 @@ if (!customElements.get('c-embroidery')) {
      * @param {Event} event
      */
     handleNameInput(event) {
-      // Prevent changes if already added to cart in drawer
-      if (this.addedToCart && this.isDrawer()) return;
+      // Prevent changes once the cart line is updated
+      if (this.addedToCart && this.isCartLine()) return;
 
-      const value = event.target.value;
-
-      this.updateCharacterCount(value.length);
+      this.updateCharacterCount(event.target);
       this.updatePreview();
     }
 
@@ -293,27 +1070,148 @@ if (!customElements.get('c-embroidery')) {
      * Handle accordion toggle event (dispatched by accordion.js)
      * @param {CustomEvent} event - Accordion toggle event
      */
-    handleAccordionToggle(event) {
-      // Prevent changes if already added to cart in drawer
-      if (this.addedToCart && this.isDrawer()) return;
+    handleAccordionToggle(event) {
+      // Prevent changes once the cart line is updated
+      if (this.addedToCart && this.isCartLine()) return;
+
+      const isOpen = event.detail.isOpen;
+
+      if (this.isEditMode) {
+        this.handleEditToggle(isOpen);
+        return;
+      }
+
+      if (this.els.checkbox) {
+        this.els.checkbox.checked = isOpen;
+      }
+
+      if (!isOpen) this.clearAddons();
+
+      this.validateAndUpdateButton();
+      this.saveState();
+    }
+
+    /**
+     * Open or close the edit form of an embroidered cart line
+     * @param {boolean} isOpen - Accordion state
+     */
+    handleEditToggle(isOpen) {
+      this.els.editButton?.setAttribute('aria-expanded', isOpen);
+
+      if (isOpen) {
+        if (!this.isPrefilled) {
+          this.prefillFromProperties();
+          this.isPrefilled = true;
+        }
+        this.updatePreview();
+        return;
+      }
+
+      // Closing discards the pending edit, the cart keeps its current addons
+      this.clearAddons();
+      if (this.els.priceDisplay) {
+        this.els.priceDisplay.textContent = '+' + this.formatMoney(parseInt(this.els.priceDisplay.dataset.additionalPrice, 10) || 0);
+      }
+    }
+
+    /**
+     * Fill the form with the design saved on the cart line
+     */
+    prefillFromProperties() {
+      this.applyDesign(this.getSavedDesign(this.getLineProperties()));
+    }
+
+    /**
+     * Set the inputs and options of the form from a design
+     * @param {{lines: string[], options: Object, optionValues: string[], placements?: string[]}} design - See getSavedDesign()
+     */
+    applyDesign(design) {
+      const { SELECTORS } = EmbroideryCustomizer;
+
+      this.els.nameInputs.forEach((input, index) => {
+        input.value = (design.lines[index] || '').slice(0, input.maxLength > 0 ? input.maxLength : undefined);
+        this.updateCharacterCount(input);
+      });
+
+      this.els.optionFieldsets.forEach((fieldset, index) => {
+        const value = design.options[fieldset.dataset.optionName] ?? design.optionValues[index];
+        if (value === undefined) return;
+
+        const radio = Array.from(fieldset.querySelectorAll(SELECTORS.RADIO_INPUT)).find(input => input.value === value);
+        if (radio) radio.checked = true;
+      });
+
+      // Designs saved before placements existed keep the default placement
+      if (design.placements?.length > 0) {
+        this.els.placementInputs.forEach(input => {
+          input.checked = design.placements.includes(input.value);
+        });
+        this.updatePlacementPreview();
+      }
+    }
+
+    /**
+     * Read the saved design from line item properties
+     * Supports the _embroidery payload, the structured properties and the legacy "Embroidery Name" string
+     * @param {Object} properties - Line item properties
+     * @returns {{lines: string[], options: Object, optionValues: string[], placements: string[]}} Options keyed by option name, or values in fieldset order
+     */
+    getSavedDesign(properties) {
+      const design = { lines: [], options: {}, optionValues: [], placements: [] };
 
-      const isOpen = event.detail.isOpen;
+      try {
+        const payload = properties._embroidery ? JSON.parse(properties._embroidery) : null;
+        if (payload) {
+          design.lines = payload.input_lines || payload.lines || [payload.text || ''];
+          Object.entries(payload.options || {}).forEach(([name, option]) => {
+            design.options[name] = option.value;
+          });
+          design.placements = (payload.placements || []).map(placement => placement.label);
+          return design;
+        }
+      } catch (error) {
+        console.warn('Embroidery: Invalid saved design', error);
+      }
 
-      if (this.els.checkbox) {
-        this.els.checkbox.checked = isOpen;
+      if (properties['Embroidery Text'] !== undefined) {
+        const lineKeys = Object.keys(properties).filter(key => /^Embroidery Line \d+$/.test(key));
+
+        if (properties['_Embroidery Input'] !== undefined) {
+          // The entered text, before the font's text transform
+          design.lines = properties['_Embroidery Input'].split(' / ');
+        } else if (lineKeys.length > 0) {
+          design.lines = lineKeys.reduce((lines, key) => {
+            lines[parseInt(key.replace('Embroidery Line ', ''), 10) - 1] = properties[key];
+            return lines;
+          }, []);
+        } else {
+          design.lines = properties['Embroidery Text'].split(' / ');
+        }
+
+        this.els.optionFieldsets.forEach(fieldset => {
+          const value = properties[`Embroidery ${fieldset.dataset.optionLabel}`];
+          if (value !== undefined) design.options[fieldset.dataset.optionName] = value;
+        });
+        design.placements = properties['Embroidery Placement']?.split(', ') || [];
+        return design;
       }
 
-      if (!isOpen) delete window.embroideryAddons;
+      // Legacy: "Name", Color, Font
+      const legacy = (properties['Embroidery Name'] || '').match(/^"(.*)"(?:, (.*))?$/);
+      if (legacy) {
+        design.lines = [legacy[1]];
+        design.optionValues = legacy[2] ? legacy[2].split(', ') : [];
+      }
 
-      this.validateAndUpdateButton();
+      return design;
     }
 
     /**
      * Handle checkbox state changes (fallback if accordion doesn't handle it)
      */
     handleCheckboxChange(event) {
-      // Prevent changes if already added to cart in drawer
-      if (this.addedToCart && this.isDrawer()) return;
+      // Prevent changes once the cart line is updated
+      if (this.addedToCart && this.isCartLine()) return;
 
       // Stop propagation to prevent double handling
       event.stopPropagation();
@@ -329,14 +1227,15 @@ if (!customElements.get('c-embroidery')) {
      * @param {Event} event
      */
     handleOptionChange(event) {
-      // Prevent changes if already added to cart in drawer
-      if (this.addedToCart && this.isDrawer()) return;
+      // Prevent changes once the cart line is updated
+      if (this.addedToCart && this.isCartLine()) return;
 
       const fieldset = event.currentTarget;
       const optionName = fieldset.dataset.optionName;
       const selectedInput = fieldset.querySelector(EmbroideryCustomizer.SELECTORS.CHECKED_RADIO);
 
       this.updatePreview();
+      if (optionName === EmbroideryCustomizer.COLOR_OPTION) this.updateContrastWarning();
 
       this.dispatchEvent(new CustomEvent('embroidery:option-change', {
         bubbles: true,
@@ -351,6 +1250,124 @@ if (!customElements.get('c-embroidery')) {
 
     // ==================== Option Helpers ====================
 
+    /**
+     * Get the entered text of every embroidery line, in display order
+     * @returns {string[]} Trimmed line values (empty string for blank lines)
+     */
+    getLines() {
+      return Array.from(this.els.nameInputs || []).map(input => input.value.trim());
+    }
+
+    /**
+     * Get the lines shown in the preview: the entered lines, or one unit's name in bulk mode
+     * @returns {string[]}
+     */
+    getPreviewLines() {
+      if (this.isBulkMode()) return [this.getBulkNames()[this.bulkPreviewIndex] || ''];
+      return this.getLines();
+    }
+
+    /**
+     * Check if at least one previewed line has text
+     * @returns {boolean}
+     */
+    hasText() {
+      return this.getPreviewLines().some(line => line.length > 0);
+    }
+
+    /**
+     * Get the text validator for the selected font
+     * A selected option may narrow the allowed characters with data-allowed-characters
+     * @returns {EmbroideryTextValidator}
+     */
+    getValidator() {
+      const selectedWithCharset = Array.from(this.els.optionFieldsets)
+        .map(fieldset => fieldset.querySelector(EmbroideryCustomizer.SELECTORS.CHECKED_RADIO))
+        .find(input => input?.dataset.allowedCharacters);
+      const allowedCharacters = selectedWithCharset?.dataset.allowedCharacters || this.dataset.allowedCharacters || '';
+
+      if (!this.validators.has(allowedCharacters)) {
+        this.validators.set(allowedCharacters, new EmbroideryTextValidator({
+          allowedCharacters,
+          blockedWords: this.dataset.blockedWords || ''
+        }));
+      }
+
+      return this.validators.get(allowedCharacters);
+    }
+
+    // ==================== Text Transform ====================
+
+    /**
+     * Get the text transform of the selected font (data-text-transform on its option)
+     * @returns {string} uppercase, lowercase, title, monogram or an empty string
+     */
+    getTextTransform() {
+      const selectedWithTransform = Array.from(this.els.optionFieldsets)
+        .map(fieldset => fieldset.querySelector(EmbroideryCustomizer.SELECTORS.CHECKED_RADIO))
+        .find(input => input?.dataset.textTransform);
+
+      return selectedWithTransform?.dataset.textTransform || '';
+    }
+
+    /**
+     * Get lines as they will be embroidered with the selected font
+     * @param {string[]} lines - Entered lines
+     * @returns {string[]}
+     */
+    transformLines(lines) {
+      const transform = this.getTextTransform();
+      return lines.map(line => EmbroideryCustomizer.transformText(line, transform));
+    }
+
+    /**
+     * @param {string} text
+     * @param {string} transform - uppercase, lowercase, title or monogram, anything else keeps the text
+     * @returns {string}
+     */
+    static transformText(text, transform) {
+      switch (transform) {
+        case 'uppercase':
+          return text.toLocaleUpperCase();
+        case 'lowercase':
+          return text.toLocaleLowerCase();
+        case 'title':
+          return text
+            .toLocaleLowerCase()
+            .replace(/(^|[\s-])(\p{L})/gu, (match, separator, letter) => separator + letter.toLocaleUpperCase());
+        case 'monogram':
+          return EmbroideryCustomizer.toMonogram(text);
+        default:
+          return text;
+      }
+    }
+
+    /**
+     * Classic three-letter monogram: first initial, last initial in the center, middle initial
+     * "Jane Anne Smith" and the initials "JAS" both become "JSA"
+     * @param {string} text - Full name, or up to three initials in first, middle, last order
+     * @returns {string}
+     */
+    static toMonogram(text) {
+      const words = text
+        .replace(/['’]/g, '')
+        .replace(/[^\p{L}]+/gu, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+
+      const initials = words.length === 1 && words[0].length <= 3
+        ? Array.from(words[0])
+        : words.map(word => Array.from(word)[0]);
+
+      if (initials.length < 3) return initials.join('').toLocaleUpperCase();
+
+      const [first, middle] = initials;
+      const last = initials[initials.length - 1];
+
+      return `${first}${last}${middle}`.toLocaleUpperCase();
+    }
+
     /**
      * Get all selected options
      * @returns {Object} Selected options with option names as keys
@@ -389,7 +1406,7 @@ if (!customElements.get('c-embroidery')) {
      */
     setLoadingState(loading) {
       if (!this.els.addButton) return;
-      if (!this.isDrawer()) return;
+      if (!this.isCartLine()) return;
       if (loading) {
         this.els.addButton.setAttribute('aria-disabled', true);
         this.els.addButton.classList.add('loading');
@@ -404,28 +1421,66 @@ if (!customElements.get('c-embroidery')) {
     // ==================== Preview Updates ====================
 
     /**
-     * Update character count display
-     * @param {number} length - Current character count
+     * Update character count display of the line owning the input
+     * @param {HTMLInputElement} input - Line input that changed
      */
-    updateCharacterCount(length) {
-      if (this.els.nameLength) {
-        this.els.nameLength.textContent = length;
+    updateCharacterCount(input) {
+      const line = input.closest(EmbroideryCustomizer.SELECTORS.NAME_LINE) || this;
+      const nameLength = line.querySelector(EmbroideryCustomizer.SELECTORS.NAME_LENGTH);
+
+      if (nameLength) {
+        nameLength.textContent = input.value.length;
       }
     }
 
+    /**
+     * Show the validation error of each line beside its input
+     */
+    updateLineErrors() {
+      const { SELECTORS } = EmbroideryCustomizer;
+      const errors = this.getLineErrors();
+      const validator = this.getValidator();
+      const transform = this.getTextTransform();
+
+      const inputs = this.isBulkMode()
+        ? Array.from(this.els.bulkNames.querySelectorAll(SELECTORS.BULK_NAME))
+        : Array.from(this.els.nameInputs);
+
+      inputs.forEach((input, index) => {
+        const message = this.isBulkMode()
+          ? validator.validate(EmbroideryCustomizer.transformText(input.value.trim(), transform))
+          : errors[index] || '';
+        const line = input.closest(SELECTORS.NAME_LINE) || this;
+        const error = line.querySelector(SELECTORS.NAME_ERROR);
+
+        input.setAttribute('aria-invalid', message ? 'true' : 'false');
+        if (!error) return;
+
+        error.textContent = message;
+        error.hidden = !message;
+      });
+    }
+
     /**
      * Update preview display with current selections
      */
     updatePreview() {
-      // Prevent changes if already added to cart in drawer
-      if (this.addedToCart && this.isDrawer()) return;
+      // Prevent changes once the cart line is updated
+      if (this.addedToCart && this.isCartLine()) return;
 
       if (!this.els.previewText) return;
 
-      const name = this.els.nameInput?.value || '';
-      this.els.previewText.textContent = name;
+      const lines = this.transformLines(this.getPreviewLines());
+      if (this.els.previewLines.length > 0) {
+        this.els.previewLines.forEach((previewLine, index) => {
+          previewLine.textContent = lines[index] || '';
+        });
+      } else {
+        this.els.previewText.textContent = lines.join(' ');
+      }
 
       // Apply selected color
+      const styles = {};
       this.els.optionFieldsets.forEach(fieldset => {
         const selectedInput = fieldset.querySelector(EmbroideryCustomizer.SELECTORS.CHECKED_RADIO);
         if (!selectedInput) return;
@@ -435,12 +1490,27 @@ if (!customElements.get('c-embroidery')) {
 
         const mapName = this.getMappingCSS(optionName);
 
+        styles[mapName] = optionValue;
         this.els.previewText.style[mapName] = optionValue;
       });
 
+      this.previewRenderer?.render({
+        lines,
+        color: styles.color,
+        fontFamily: styles['font-family']
+      });
+
       this.updatePrice();
+      this.updateLineErrors();
+      this.updateBulkSummary();
       this.validateAndUpdateButton();
       this.buildItemsAddons();
+
+      if (this.els.proofButton) {
+        this.els.proofButton.hidden = !this.previewRenderer || !this.hasText() || !this.isEmbroideryValid();
+      }
+
+      this.saveState();
     }
 
     /**
@@ -448,11 +1518,10 @@ if (!customElements.get('c-embroidery')) {
      * @returns {number} Total price in cents
      */
     calculateTotalPrice() {
-      // Start with base price (only if name is entered)
-      const hasName = this.els.nameInput?.value.length > 0;
-      if (!hasName) return 0;
+      // Start with base price (only if some text is entered)
+      if (!this.hasText()) return 0;
 
-      let totalPrice = this.basePrice;
+      let totalPrice = this.getBasePrice();
 
       // Add prices from selected options
       this.els.optionFieldsets.forEach(fieldset => {
@@ -476,31 +1545,36 @@ if (!customElements.get('c-embroidery')) {
 
       const totalPrice = this.calculateTotalPrice();
 
-      // Format price using Shopify money format
+      // Format price using the shop's money format (or the market currency)
       if (totalPrice > 0) {
-        // Convert cents to dollars for display
         const formattedPrice = this.formatMoney(totalPrice);
         this.els.priceDisplay.textContent = `+${formattedPrice}`;
       } else {
-        this.els.priceDisplay.textContent = '+' + this.formatMoney(this.basePrice);
+        this.els.priceDisplay.textContent = '+' + this.formatMoney(this.getBasePrice());
       }
     }
 
     /**
-     * Format money in cents to currency string
+     * Get the price of the embroidery before options: the selected placements, otherwise the base variant
+     * @returns {number} Price in cents, for the whole line quantity on a cart line
+     */
+    getBasePrice() {
+      if (!this.els.placementInputs?.length) return this.basePrice;
+
+      const quantity = this.isCartLine() ? parseInt(this.lineItemQuantity, 10) || 1 : 1;
+      return this.getSelectedPlacements().reduce((total, input) => {
+        const price = parseInt(input.dataset.optionPrice, 10);
+        return isNaN(price) ? total : total + price * quantity;
+      }, 0);
+    }
+
+    /**
+     * Format money in cents like the money_without_trailing_zeros filter the snippet renders
      * @param {number} cents - Price in cents
      * @returns {string} Formatted price string
      */
     formatMoney(cents) {
-      const dollars = cents / 100;
-
-      // Use Shopify's money format if available
-      if (typeof Shopify !== 'undefined' && Shopify.formatMoney) {
-        return Shopify.formatMoney(cents, Shopify.money_format || '${{amount}}');
-      }
-
-      // Fallback to basic formatting
-      return `$${dollars.toFixed(2)}`;
+      return MoneyFormat.format(cents, { withoutTrailingZeros: true });
     }
 
     /**
@@ -515,35 +1589,225 @@ if (!customElements.get('c-embroidery')) {
       return mapping[key] || key;
     }
 
+    // ==================== Bulk Names ====================
+
+    /**
+     * Get the quantity input of the product form (it may sit outside the form, linked with the form attribute)
+     * @returns {HTMLInputElement|null}
+     */
+    getQuantityInput() {
+      return this.els.productForm?.querySelector('form')?.elements.namedItem('quantity') || null;
+    }
+
+    /**
+     * @returns {number} Quantity added with the product form, 1 without a quantity input
+     */
+    getQuantity() {
+      return parseInt(this.getQuantityInput()?.value, 10) || 1;
+    }
+
+    /**
+     * Check if every unit gets its own name (product page, quantity above 1)
+     * @returns {boolean}
+     */
+    isBulkMode() {
+      return Boolean(this.els.bulkToggle?.checked) && this.getQuantity() > 1;
+    }
+
+    /**
+     * @returns {string[]} Trimmed name of every unit
+     */
+    getBulkNames() {
+      const inputs = this.els.bulkNames?.querySelectorAll(EmbroideryCustomizer.SELECTORS.BULK_NAME) || [];
+      return Array.from(inputs, input => input.value.trim());
+    }
+
+    /**
+     * Group the unit names into parent lines, one per distinct name
+     * @returns {Array<{name: string, quantity: number}>}
+     */
+    getBulkUnits() {
+      const units = new Map();
+      this.getBulkNames().forEach(name => units.set(name, (units.get(name) || 0) + 1));
+
+      return Array.from(units, ([name, quantity]) => ({ name, quantity }));
+    }
+
+    /**
+     * Offer bulk mode when more than one unit is added and keep one name field per unit
+     */
+    updateBulkFields() {
+      const { SELECTORS } = EmbroideryCustomizer;
+      const { bulk, bulkFields, bulkNames, bulkTemplate } = this.els;
+      if (!bulk) return;
+
+      const quantity = this.getQuantity();
+      const isBulk = this.isBulkMode();
+
+      bulk.hidden = quantity < 2;
+      bulkFields.hidden = !isBulk;
+
+      // The unit names replace the single name field
+      this.els.nameInputs.forEach(input => {
+        const line = input.closest(SELECTORS.NAME_LINE);
+        if (line) line.hidden = isBulk;
+      });
+
+      if (!isBulk) return;
+
+      const fields = bulkNames.children;
+      while (fields.length > quantity) fields[fields.length - 1].remove();
+      while (fields.length < quantity) {
+        const field = bulkTemplate.content.firstElementChild.cloneNode(true);
+        field.querySelector(SELECTORS.BULK_NAME).setAttribute(
+          'aria-label',
+          window.embroideryStrings.bulkNameLabel.replace('[number]', fields.length + 1)
+        );
+        bulkNames.appendChild(field);
+      }
+
+      this.bulkPreviewIndex = Math.min(this.bulkPreviewIndex, quantity - 1);
+    }
+
+    /**
+     * Say how many names are missing, or that every name is set
+     */
+    updateBulkSummary() {
+      if (!this.els.bulkSummary) return;
+
+      if (!this.isBulkMode()) {
+        this.els.bulkSummary.textContent = '';
+        return;
+      }
+
+      const names = this.getBulkNames();
+      const missing = names.filter(name => !name).length;
+
+      this.els.bulkSummary.textContent = missing > 0
+        ? window.embroideryStrings.bulkMissingNames.replace('[missing]', missing)
+        : window.embroideryStrings.bulkSummary.replace('[quantity]', names.length);
+    }
+
+    /**
+     * Fill the unit names, the quantity follows the number of names
+     * @param {string[]} names
+     */
+    applyBulkNames(names) {
+      if (!this.els.bulkToggle || names.length === 0) return;
+
+      const quantityInput = this.getQuantityInput();
+      if (quantityInput && names.length > 1) {
+        quantityInput.value = names.length;
+        quantityInput.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+
+      this.els.bulkToggle.checked = true;
+      this.updateBulkFields();
+
+      this.els.bulkNames.querySelectorAll(EmbroideryCustomizer.SELECTORS.BULK_NAME).forEach((input, index) => {
+        input.value = (names[index] || '').slice(0, input.maxLength > 0 ? input.maxLength : undefined);
+      });
+
+      this.updatePreview();
+    }
+
+    /**
+     * Read names from a pasted list or a CSV file
+     * Several rows: the first column of each row (a "Name" header is skipped). One row: its comma separated values.
+     * @param {string} text
+     * @returns {string[]}
+     */
+    static parseNameList(text) {
+      const rows = text.split(/\r?\n/).map(row => row.trim()).filter(Boolean);
+      const cells = rows.length > 1 ? rows.map(row => row.split(',')[0]) : (rows[0] || '').split(',');
+      const names = cells.map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim()).filter(Boolean);
+
+      if (rows.length > 1 && /^names?$/i.test(names[0])) names.shift();
+
+      return names;
+    }
+
+    handleBulkToggle() {
+      this.updateBulkFields();
+      this.updatePreview();
+    }
+
+    /**
+     * Preview the name being typed or focused
+     * @param {Event} event - Input or focusin event of a unit name
+     */
+    handleBulkNameInput(event) {
+      const { SELECTORS } = EmbroideryCustomizer;
+      if (!event.target.matches(SELECTORS.BULK_NAME)) return;
+
+      const inputs = Array.from(this.els.bulkNames.querySelectorAll(SELECTORS.BULK_NAME));
+      this.bulkPreviewIndex = Math.max(inputs.indexOf(event.target), 0);
+      this.updatePreview();
+    }
+
+    handleBulkList(event) {
+      this.applyBulkNames(EmbroideryCustomizer.parseNameList(event.target.value));
+      event.target.value = '';
+    }
+
+    async handleBulkFile(event) {
+      const file = event.target.files?.[0];
+      if (!file) return;
+
+      try {
+        this.applyBulkNames(EmbroideryCustomizer.parseNameList(await file.text()));
+      } catch (error) {
+        console.warn('Embroidery: Unable to read the name list', error);
+      }
+
+      event.target.value = '';
+    }
+
+    /**
+     * Keep the unit names in step with the product form quantity
+     * @param {Event} event - Document input or change event
+     */
+    handleQuantityChange(event) {
+      const quantityInput = this.getQuantityInput();
+      if (!quantityInput || event.target !== quantityInput) return;
+
+      this.updateBulkFields();
+      this.updatePreview();
+    }
+
     // ==================== Embroidery Addons ====================
 
     /**
-     * Build embroidery addons data and store in window.embroideryAddons
+     * Build embroidery addons data and register it on the form's addon registry (see ProductAddon)
      * This will be used by product-form to add embroidery products to cart
      */
     buildItemsAddons() {
-      // Prevent changes if already added to cart in drawer
-      if (this.addedToCart && this.isDrawer()) return;
+      // Prevent changes once the cart line is updated
+      if (this.addedToCart && this.isCartLine()) return;
 
       if (!this.els.checkbox?.checked || !this.isEmbroideryValid()) {
-        delete window.embroideryAddons;
+        this.clearAddons();
         return;
       }
 
-      const name = this.els.nameInput?.value || '';
       const items = [];
 
       // Get main product quantity from form
-      const quantityInput = this.els.productForm?.querySelector('[name="quantity"]');
-      const quantity = quantityInput ? parseInt(quantityInput.value, 10) || 1 : 1;
+      const quantity = this.getQuantity();
 
-      // Build embroidery properties for main product
-      const properties = {};
-      let embroiderySelected = '';
-      embroiderySelected += '"' + name + '"';
+      // Placements: one addon line per placement, its properties keep lines of the same variant apart
+      const placements = this.getSelectedPlacements();
+      placements.forEach(input => {
+        items.push({
+          id: input.dataset.variantId,
+          quantity: quantity,
+          parent_id: this.variantId,
+          properties: { '_Embroidery Placement': input.value }
+        });
+      });
 
-      // Add base product (name input) as first addon item
-      if (this.els.nameInput) {
+      // Otherwise the base product (name input) is the first addon item
+      if (this.els.nameInput && placements.length === 0) {
         const baseVariantId = this.els.nameInput.dataset.variantId;
         const basePrice = this.els.nameInput.dataset.optionPrice;
 
@@ -553,7 +1817,7 @@ if (!customElements.get('c-embroidery')) {
             items.push({
               id: baseVariantId,
               quantity: quantity,
-              parent_id: this.productId
+              parent_id: this.variantId
             });
           }
         }
@@ -564,9 +1828,6 @@ if (!customElements.get('c-embroidery')) {
         const selectedInput = fieldset.querySelector(EmbroideryCustomizer.SELECTORS.CHECKED_RADIO);
         if (!selectedInput) return;
 
-        const value = selectedInput.value;
-        embroiderySelected += ', ' + value;
-
         // Add addon item only if it has valid variant ID and price > 0
         const variantId = selectedInput.dataset.variantId;
         const optionPrice = selectedInput.dataset.optionPrice;
@@ -581,23 +1842,229 @@ if (!customElements.get('c-embroidery')) {
         items.push({
           id: variantId,
           quantity: quantity,
-          parent_id: this.productId
+          parent_id: this.variantId
         });
       });
 
-      properties['Embroidery Name'] = embroiderySelected;
-      properties['_Addons'] = items.map(item => item.id).join(',');
+      // One property per option fieldset (e.g. "Embroidery Color": "Navy")
+      const optionProperties = {};
+      this.els.optionFieldsets.forEach(fieldset => {
+        const selectedInput = fieldset.querySelector(EmbroideryCustomizer.SELECTORS.CHECKED_RADIO);
+        if (!selectedInput) return;
+
+        const optionLabel = fieldset.dataset.optionLabel || fieldset.dataset.optionName;
+        optionProperties[`Embroidery ${optionLabel}`] = selectedInput.value;
+      });
+
+      if (placements.length > 0) {
+        optionProperties['Embroidery Placement'] = placements.map(input => input.value).join(', ');
+      }
+
+      const addonIds = items.map(item => item.id);
+
+      // Bulk mode: the options are shared, every distinct name gets its own parent line
+      if (this.isBulkMode()) {
+        this.registerAddons({
+          items: [...items],
+          properties: { ...optionProperties, ...this.getShipDateProperties(), '_Addons': addonIds.join(',') },
+          units: this.getBulkUnits().map(unit => ({
+            quantity: unit.quantity,
+            properties: this.getTextProperties([unit.name], addonIds)
+          }))
+        });
+        return;
+      }
 
-      // Store in window for product-form to use
-      window.embroideryAddons = {
-        mainProductId: this.productId,
+      // Register for product-form to use
+      this.registerAddons({
         items: [...items],
-        properties: properties
+        properties: {
+          ...this.getTextProperties(this.getLines(), addonIds),
+          ...optionProperties,
+          ...this.getShipDateProperties(),
+          '_Addons': addonIds.join(',')
+        }
+      });
+    }
+
+    /**
+     * Build the text and proof properties of a design
+     * The text is stored as embroidered (font text transform applied), the entered text as _Embroidery Input
+     * @param {string[]} inputLines - Entered lines
+     * @param {string[]} addonIds - Addon variant ids added with the design
+     * @returns {Object} Line item properties
+     */
+    getTextProperties(inputLines, addonIds) {
+      const transform = this.getTextTransform();
+      const lines = this.transformLines(inputLines);
+      const text = lines.filter(line => line.length > 0).join(' / ');
+
+      // Build embroidery properties for main product
+      const properties = {
+        'Embroidery Text': text
+      };
+
+      // Multi-line embroidery keeps each line as its own property
+      if (lines.length > 1) {
+        lines.forEach((line, index) => {
+          if (line) properties[`Embroidery Line ${index + 1}`] = line;
+        });
+      }
+
+      // Proof reference so production can rebuild exactly what was previewed
+      const design = this.getDesign(lines);
+      const proofId = this.getProofId(design);
+      properties['_Embroidery Proof ID'] = proofId;
+      properties['_Embroidery Proof'] = this.getProofCaption(design).join(' | ');
+
+      if (transform) {
+        properties['_Embroidery Input'] = inputLines.filter(line => line.length > 0).join(' / ');
+      }
+
+      // Machine readable payload for downstream tools
+      properties['_embroidery'] = JSON.stringify({
+        version: 1,
+        text,
+        lines,
+        input_lines: inputLines,
+        text_transform: transform || undefined,
+        options: design.options,
+        placement: design.placement,
+        placements: design.placements,
+        proof_id: proofId,
+        addons: addonIds
+      });
+
+      return properties;
+    }
+
+    // ==================== Proof ====================
+
+    /**
+     * Describe the design exactly as previewed
+     * @param {string[]} [lines] - Embroidered lines, the previewed ones by default
+     * @returns {{lines: string[], options: Object, placement: Object, placements: Object[]}} Placement is the previewed box
+     */
+    getDesign(lines = this.transformLines(this.getPreviewLines())) {
+      const options = {};
+
+      this.els.optionFieldsets.forEach(fieldset => {
+        const selectedInput = fieldset.querySelector(EmbroideryCustomizer.SELECTORS.CHECKED_RADIO);
+        if (!selectedInput) return;
+
+        options[fieldset.dataset.optionName] = {
+          value: selectedInput.value,
+          style: selectedInput.dataset.optionValue
+        };
+      });
+
+      return {
+        lines,
+        options,
+        placement: this.getPlacement(),
+        placements: this.getSelectedPlacements().map(input => ({
+          label: input.value,
+          variant_id: input.dataset.variantId
+        }))
       };
     }
 
+    /**
+     * Get the proof identifier of a design (same design, same id)
+     * @param {Object} design - See getDesign()
+     * @returns {string}
+     */
+    getProofId(design) {
+      return `EMB-${EmbroideryCustomizer.hash(JSON.stringify(design))}`;
+    }
+
+    /**
+     * Human readable design summary, printed on the proof and stored on the line item
+     * @param {Object} design - See getDesign()
+     * @returns {string[]}
+     */
+    getProofCaption(design) {
+      const { x, y, maxWidth, rotation, curve } = design.placement;
+      const percent = (value) => `${Math.round(value * 100)}%`;
+      const caption = [`Text: ${design.lines.filter(Boolean).join(' / ')}`];
+
+      Object.entries(design.options).forEach(([name, option]) => {
+        const label = name.charAt(0).toUpperCase() + name.slice(1);
+        const style = option.style && option.style !== option.value ? ` (${option.style})` : '';
+        caption.push(`${label}: ${option.value}${style}`);
+      });
+
+      if (design.placements?.length > 0) {
+        caption.push(`Placements: ${design.placements.map(placement => placement.label).join(', ')}`);
+      }
+
+      if (x !== undefined) {
+        caption.push(
+          `Placement: x ${percent(x)}, y ${percent(y)}, width ${percent(maxWidth)}, rotation ${rotation}°, curve ${curve}°`
+        );
+      }
+
+      return caption;
+    }
+
+    /**
+     * Generate and download the PNG proof of the current design
+     * @param {Event} event - Proof button click event
+     */
+    async handleProofDownload(event) {
+      event.preventDefault();
+      if (!this.previewRenderer || !this.hasText() || !this.isEmbroideryValid()) return;
+
+      const design = this.getDesign();
+      const proofId = this.getProofId(design);
+
+      try {
+        const dataUrl = await this.previewRenderer.exportProof({
+          imageSrc: this.els.previewImage?.currentSrc || this.els.previewImage?.src,
+          caption: [proofId, ...this.getProofCaption(design)]
+        });
+
+        const link = document.createElement('a');
+        link.href = dataUrl;
+        link.download = `embroidery-proof-${proofId}.png`;
+        link.click();
+      } catch (error) {
+        console.error('Failed to generate embroidery proof:', error);
+      }
+    }
+
+    /**
+     * Fast, stable 53-bit string hash (cyrb53)
+     * @param {string} value
+     * @returns {string} Base 36 hash
+     */
+    static hash(value) {
+      let h1 = 0xdeadbeef;
+      let h2 = 0x41c6ce57;
+
+      for (let i = 0; i < value.length; i++) {
+        const char = value.charCodeAt(i);
+        h1 = Math.imul(h1 ^ char, 2654435761);
+        h2 = Math.imul(h2 ^ char, 1597334677);
+      }
+
+      h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+      h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+      return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36).toUpperCase();
+    }
+
     // ==================== Validation ====================
 
+    /**
+     * Get the validation error of every embroidery line
+     * @returns {string[]} Error message per line, empty string when valid
+     */
+    getLineErrors() {
+      const validator = this.getValidator();
+      return this.transformLines(this.getLines()).map(line => validator.validate(line));
+    }
+
     /**
      * Check if embroidery customization is valid
      * @returns {boolean} True if all requirements are met
@@ -608,9 +2075,28 @@ if (!customElements.get('c-embroidery')) {
         return true;
       }
 
-      // Check if name is entered
-      const hasName = this.els.nameInput?.value.trim().length > 0;
-      if (!hasName) {
+      if (this.isBulkMode()) {
+        // Check that every unit has a name without unsupported characters or blocked words
+        const validator = this.getValidator();
+        const names = this.getBulkNames();
+        const transformedNames = this.transformLines(names);
+        if (names.some((name, index) => !name || validator.validate(transformedNames[index]))) {
+          return false;
+        }
+      } else {
+        // Check if at least one line has text
+        if (!this.hasText()) {
+          return false;
+        }
+
+        // Check that no line has unsupported characters or blocked words
+        if (this.getLineErrors().some(Boolean)) {
+          return false;
+        }
+      }
+
+      // Products with placements need at least one
+      if (this.els.placementInputs.length > 0 && this.getSelectedPlacements().length === 0) {
         return false;
       }
 
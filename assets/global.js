@@ -1405,3 +1405,400 @@ class CartPerformance {
     );
   }
 }
+
+class CartMutationQueue {
+  static #pending = Promise.resolve();
+
+  // Cart requests run one at a time, in the order they were queued
+  static enqueue(mutation) {
+    const result = CartMutationQueue.#pending.then(() => mutation());
+    CartMutationQueue.#pending = result.catch(() => {});
+    return result;
+  }
+
+  static fetch(url, options) {
+    return CartMutationQueue.enqueue(() => fetch(url, options));
+  }
+
+  // Runs several requests as one queued mutation; if one fails, the completed steps are undone in reverse order
+  static transaction(callback) {
+    return CartMutationQueue.enqueue(async () => {
+      const transaction = new CartTransaction();
+
+      try {
+        return await callback(transaction);
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+    });
+  }
+}
+
+class CartTransaction {
+  constructor() {
+    this.rollbacks = [];
+  }
+
+  async request(url, body, rollback) {
+    const state = await fetch(url, { ...fetchConfig(), body: JSON.stringify(body) }).then((response) => response.json());
+
+    // Cart errors keep the response fields (errors can be an object keyed by field), failed requests throw as they are
+    if (state.status || state.errors) {
+      const message = state.description || state.message || (typeof state.errors === 'string' ? state.errors : '');
+      throw Object.assign(new Error(message || window.cartStrings?.error), {
+        status: state.status || 422,
+        description: state.description,
+        errors: state.errors,
+      });
+    }
+
+    if (rollback) this.rollbacks.unshift(() => rollback(state));
+    return state;
+  }
+
+  // Current cart lines for the given keys, as cart/add items, so a rollback can add them back exactly as they were
+  async getLines(keys) {
+    const cart = await fetch(`${routes.cart_url}.js`).then((response) => response.json());
+
+    return cart.items
+      .filter((item) => keys.includes(item.key))
+      .map((item) => ({ id: item.variant_id, quantity: item.quantity, properties: item.properties || {} }));
+  }
+
+  async rollback() {
+    for (const rollback of this.rollbacks) {
+      try {
+        await rollback();
+      } catch (error) {
+        console.error(error);
+      }
+    }
+    this.rollbacks = [];
+  }
+}
+
+class ProductFormAddons {
+  // Line item property set on every add-on child line (parent variant id), the cart only sweeps marked lines left without a parent
+  static CHILD_PROPERTY = '_Addon parent';
+
+  static #registries = new Map();
+
+  // One registry per product form (keyed by form id), so customizers never leak into another product's form
+  static for(formId) {
+    if (!ProductFormAddons.#registries.has(formId)) {
+      ProductFormAddons.#registries.set(formId, new ProductFormAddons());
+    }
+    return ProductFormAddons.#registries.get(formId);
+  }
+
+  // Drops a registry nothing is registered on anymore (cart line registries go with their re-rendered rows)
+  static release(formId) {
+    if (ProductFormAddons.#registries.get(formId)?.addons.size === 0) {
+      ProductFormAddons.#registries.delete(formId);
+    }
+  }
+
+  constructor() {
+    this.addons = new Map();
+  }
+
+  // Each customizer registers under its own name: { properties: {}, items: [], units: [] }
+  // Units split the quantity into several parent lines: [{ quantity, properties }] (e.g. one embroidered name per unit)
+  set(source, { properties = {}, items = [], units = [] } = {}) {
+    this.addons.set(source, { properties, items, units });
+  }
+
+  get(source) {
+    return this.addons.get(source);
+  }
+
+  delete(source) {
+    this.addons.delete(source);
+  }
+
+  get properties() {
+    return Object.assign({}, ...[...this.addons.values()].map((addon) => addon.properties));
+  }
+
+  get items() {
+    return [...this.addons.values()].flatMap((addon) => addon.items);
+  }
+
+  // Only one customizer can split the line, the first one registered wins
+  get units() {
+    return [...this.addons.values()].find((addon) => addon.units.length > 0)?.units || [];
+  }
+}
+
+class MoneyFormat {
+  // [thousands separator, decimal separator, decimals] of each money format placeholder
+  static #placeholders = {
+    amount: [',', '.', 2],
+    amount_no_decimals: [',', '.', 0],
+    amount_with_comma_separator: ['.', ',', 2],
+    amount_no_decimals_with_comma_separator: ['.', ',', 0],
+    amount_with_space_separator: [' ', ',', 2],
+    amount_no_decimals_with_space_separator: [' ', ',', 0],
+    amount_with_period_and_space_separator: [' ', '.', 2],
+    amount_with_apostrophe_separator: ["'", '.', 2],
+  };
+
+  // Formats cents like the Liquid money filters: the shop's money format in the shop currency,
+  // the active market currency otherwise (see window.moneySettings in theme.liquid)
+  static format(cents, { withCurrency = false, withoutTrailingZeros = false } = {}) {
+    const { money, moneyWithCurrency, shopCurrency, currency } = window.moneySettings || {};
+    const value = parseInt(cents, 10) || 0;
+
+    if (currency && shopCurrency && currency !== shopCurrency) {
+      return MoneyFormat.#formatCurrency(value, currency, { withCurrency, withoutTrailingZeros });
+    }
+
+    const template = (withCurrency ? moneyWithCurrency : money) || money || '${{amount}}';
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/, (match, placeholder) => {
+      const [thousands, decimal, decimals] = MoneyFormat.#placeholders[placeholder] || MoneyFormat.#placeholders.amount;
+      const [whole, fraction] = (value / 100).toFixed(decimals).split('.');
+      const amount = whole.replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
+
+      return fraction && !(withoutTrailingZeros && /^0+$/.test(fraction)) ? `${amount}${decimal}${fraction}` : amount;
+    });
+  }
+
+  static #formatCurrency(cents, currency, { withCurrency, withoutTrailingZeros }) {
+    const digits = withoutTrailingZeros && cents % 100 === 0 ? { minimumFractionDigits: 0, maximumFractionDigits: 0 } : {};
+    const amount = new Intl.NumberFormat(document.documentElement.lang || undefined, {
+      style: 'currency',
+      currency,
+      currencyDisplay: 'narrowSymbol',
+      ...digits,
+    }).format(cents / 100);
+
+    return withCurrency ? `${amount} ${currency}` : amount;
+  }
+}
+
+class CartStore {
+  static #state = null;
+  static #pendingLoad = null;
+  static #pendingSeed = null;
+
+  // Published with PUB_SUB_EVENTS.cartStateChange: { type, source, changes: [{ key, variantId, productId, quantity, previousQuantity }], cart }
+  static CHANGE_TYPES = {
+    optimistic: 'optimistic', // applied before the server answered
+    confirmed: 'confirmed', // state returned by the server
+    reverted: 'reverted', // the request failed, the server state is back
+  };
+
+  // Follows every cartUpdate, the cart itself is fetched once a cart component needs it (see ready())
+  static init() {
+    subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => CartStore.reconcile(event?.cartData, event?.source));
+  }
+
+  static get state() {
+    return CartStore.#state;
+  }
+
+  // Resolves with the cart state, fetching it the first time without publishing a change
+  // Cart items (drawer and cart page) call it when they connect, so quantity changes are optimistic from the first one
+  static ready() {
+    if (CartStore.#state) return Promise.resolve(CartStore.#state);
+
+    CartStore.#pendingSeed ??= fetch(`${routes.cart_url}.js`)
+      .then((response) => response.json())
+      .then((cart) => {
+        // An update answered in the meantime is newer
+        CartStore.#state ??= cart;
+        return CartStore.#state;
+      })
+      .catch((error) => {
+        console.error(error);
+        return null;
+      })
+      .finally(() => {
+        CartStore.#pendingSeed = null;
+      });
+
+    return CartStore.#pendingSeed;
+  }
+
+  // Full cart responses (cart.js, change.js, update.js) replace the state, anything else (add.js line items) reloads it
+  // Rendered sections requested with the change are left out of the state
+  static reconcile(cartData, source) {
+    if (typeof cartData?.item_count === 'number' && Array.isArray(cartData.items)) {
+      const { sections: renderedSections, ...cart } = cartData;
+      return CartStore.#setState(cart, CartStore.CHANGE_TYPES.confirmed, source);
+    }
+    return CartStore.load(source);
+  }
+
+  static load(source) {
+    CartStore.#pendingLoad ??= fetch(`${routes.cart_url}.js`)
+      .then((response) => response.json())
+      .then((cart) => CartStore.#setState(cart, CartStore.CHANGE_TYPES.confirmed, source))
+      .catch((error) => console.error(error))
+      .finally(() => {
+        CartStore.#pendingLoad = null;
+      });
+
+    return CartStore.#pendingLoad;
+  }
+
+  // Quantity updates keyed by line key or variant id, shown at once and sent to cart/update
+  // Resolves with the server response (sections included), a failed request restores the previous state
+  static update(updates, { source, sections, sections_url } = {}) {
+    const previousState = CartStore.#state;
+    if (previousState) {
+      CartStore.#setState(CartStore.#applyUpdates(previousState, updates), CartStore.CHANGE_TYPES.optimistic, source);
+    }
+    const revert = () => previousState && CartStore.#setState(previousState, CartStore.CHANGE_TYPES.reverted, source);
+
+    const body = JSON.stringify({ updates, sections, sections_url });
+
+    return CartMutationQueue.fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
+      .then((response) => response.json())
+      .then((state) => {
+        if (state.status || state.errors) {
+          revert();
+          return state;
+        }
+
+        const { sections: renderedSections, ...cart } = state;
+        CartStore.#setState(cart, CartStore.CHANGE_TYPES.confirmed, source);
+        return state;
+      })
+      .catch((error) => {
+        revert();
+        throw error;
+      });
+  }
+
+  static #setState(cart, type, source) {
+    const previousState = CartStore.#state;
+    const changes = CartStore.#diff(previousState, cart);
+    CartStore.#state = cart;
+
+    if (changes.length === 0 && previousState?.total_price === cart.total_price) return Promise.resolve();
+    return publish(PUB_SUB_EVENTS.cartStateChange, { type, source, changes, cart });
+  }
+
+  static #applyUpdates(cart, updates) {
+    const items = cart.items
+      .map((item) => {
+        const quantity = updates[item.key] ?? updates[item.variant_id];
+        if (quantity === undefined) return item;
+
+        return {
+          ...item,
+          quantity,
+          line_price: item.price * quantity,
+          original_line_price: item.original_price * quantity,
+          final_line_price: item.final_price * quantity,
+        };
+      })
+      .filter((item) => item.quantity > 0);
+
+    const sum = (key) => items.reduce((total, item) => total + (item[key] || 0), 0);
+    const subtotal = sum('final_line_price');
+
+    return {
+      ...cart,
+      items,
+      item_count: sum('quantity'),
+      original_total_price: sum('original_line_price'),
+      items_subtotal_price: subtotal,
+      // Cart level discounts are kept as they were until the server answers
+      total_price: cart.total_price - cart.items_subtotal_price + subtotal,
+    };
+  }
+
+  // Lines whose quantity, price or properties changed, added and removed lines included
+  static #diff(previousState, nextState) {
+    const previousItems = new Map((previousState?.items || []).map((item) => [item.key, item]));
+    const nextItems = new Map(nextState.items.map((item) => [item.key, item]));
+
+    return [...new Set([...previousItems.keys(), ...nextItems.keys()])]
+      .filter((key) => {
+        const previousItem = previousItems.get(key);
+        const nextItem = nextItems.get(key);
+
+        return (
+          previousItem?.quantity !== nextItem?.quantity ||
+          previousItem?.final_line_price !== nextItem?.final_line_price ||
+          JSON.stringify(previousItem?.properties) !== JSON.stringify(nextItem?.properties)
+        );
+      })
+      .map((key) => {
+        const item = nextItems.get(key) || previousItems.get(key);
+
+        return {
+          key,
+          variantId: item.variant_id,
+          productId: item.product_id,
+          quantity: nextItems.get(key)?.quantity || 0,
+          previousQuantity: previousItems.get(key)?.quantity || 0,
+        };
+      });
+  }
+}
+
+CartStore.init();
+
+class CartSync {
+  static SOURCE = 'cart-sync';
+  static CHANNEL_NAME = 'cart-sync';
+  static STORAGE_KEY = 'cart-sync';
+  static #channel = null;
+
+  // Tells the other tabs about cart changes made here (BroadcastChannel, localStorage where it's missing)
+  // and refreshes this tab through the cartUpdate subscribers when another tab changes the cart
+  static init() {
+    const refresh = debounce(() => CartSync.refresh(), ON_CHANGE_DEBOUNCE_TIMER);
+
+    if ('BroadcastChannel' in window) {
+      CartSync.#channel = new BroadcastChannel(CartSync.CHANNEL_NAME);
+      CartSync.#channel.addEventListener('message', refresh);
+    } else {
+      window.addEventListener('storage', (event) => {
+        if (event.key === CartSync.STORAGE_KEY && event.newValue) refresh();
+      });
+    }
+
+    subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+      if (event?.source !== CartSync.SOURCE) CartSync.broadcast();
+    });
+  }
+
+  static broadcast() {
+    if (CartSync.#channel) {
+      CartSync.#channel.postMessage({ type: PUB_SUB_EVENTS.cartUpdate });
+      return;
+    }
+
+    try {
+      // Storage events only fire when the value changes
+      localStorage.setItem(CartSync.STORAGE_KEY, String(Date.now()));
+    } catch (error) {
+      console.warn('Cart sync: Unable to notify other tabs', error);
+    }
+  }
+
+  static refresh() {
+    return Promise.all([
+      fetch(`${routes.cart_url}.js`).then((response) => response.json()),
+      fetch(`${routes.cart_url}?sections=cart-icon-bubble`).then((response) => response.json()),
+    ])
+      .then(([cart, sections]) => {
+        // The cart icon has no cart component of its own outside the cart page
+        const cartIcon = document.getElementById('cart-icon-bubble');
+        if (cartIcon && sections['cart-icon-bubble']) {
+          const html = new DOMParser().parseFromString(sections['cart-icon-bubble'], 'text/html');
+          cartIcon.innerHTML = html.querySelector('.shopify-section').innerHTML;
+        }
+
+        return publish(PUB_SUB_EVENTS.cartUpdate, { source: CartSync.SOURCE, cartData: cart });
+      })
+      .catch((error) => console.error(error));
+  }
+}
+
+CartSync.init();
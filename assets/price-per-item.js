@@ -75,12 +75,26 @@ if (!customElements.get('price-per-item')) {
         for (let pair of this.qtyPricePairs) {
           if (this.currentQtyForVolumePricing >= pair[0]) {
             const pricePerItemCurrent = document.querySelector(`price-per-item[id^="Price-Per-Item-${this.dataset.sectionId || this.dataset.variantId}"] .price-per-item span`);
-            this.classList.contains('variant-item__price-per-item') ? pricePerItemCurrent.innerHTML = window.quickOrderListStrings.each.replace('[money]', pair[1]) : pricePerItemCurrent.innerHTML = pair[1];
+            pricePerItemCurrent.innerHTML = this.formatPricePerItem(pair);
             break;
           }
         }
       }
 
+      // Tiers render their price in cents so it's formatted in the shop's money format (or the market currency),
+      // markup without it keeps the text formatted by Liquid
+      formatPricePerItem([, price, text]) {
+        const isVariantItem = this.classList.contains('variant-item__price-per-item');
+
+        if (isNaN(price)) {
+          return isVariantItem ? window.quickOrderListStrings.each.replace('[money]', text) : text;
+        }
+
+        return isVariantItem
+          ? window.quickOrderListStrings.each.replace('[money]', MoneyFormat.format(price))
+          : window.variantStrings.priceAtEach.replace('[price]', MoneyFormat.format(price, { withCurrency: true }));
+      }
+
       getCartQuantity(updatedCartQuantity) {
         return (updatedCartQuantity || updatedCartQuantity === 0) ? updatedCartQuantity : parseInt(this.input.dataset.cartQuantity);
       }
@@ -92,8 +106,8 @@ if (!customElements.get('price-per-item')) {
         if (volumePricing) {
           volumePricing.querySelectorAll('li').forEach(li => {
             const qty = parseInt(li.querySelector('span:first-child').textContent);
-            const price = (li.querySelector('span:not(:first-child):last-child').dataset.text);
-            this.qtyPricePairs.push([qty, price]);
+            const priceElement = li.querySelector('span:not(:first-child):last-child');
+            this.qtyPricePairs.push([qty, parseInt(priceElement.dataset.price), priceElement.dataset.text]);
           });
         }
         this.qtyPricePairs.reverse();
@@ -0,0 +1,150 @@
+/**
+ * Product Add-on Component
+ * Base element for anything added to the cart as a child line of the product (embroidery, gift wrap, charms...)
+ * Registers its line item properties and child items on the product form's addon registry
+ *
+ * Used as is, it toggles a single add-on product:
+ * @example
+ * <c-product-addon data-addon-source="addon-gift-wrap" data-form-id="product-form-template--123__main">
+ *   <input type="checkbox" data-addon-toggle data-variant-id="456">
+ *   <select data-addon-variant>...</select> <!-- optional, for add-ons with several variants -->
+ * </c-product-addon>
+ */
+
+// Check if already defined to prevent double registration (the file can be loaded by several snippets)
+if (!window.ProductAddon) {
+
+  class ProductAddon extends Component {
+    static SELECTORS = {
+      TOGGLE: '[data-addon-toggle]',
+      VARIANT_SELECT: '[data-addon-variant]',
+      PRICE_DISPLAY: '[data-addon-price]',
+      PRODUCT_FORM: 'product-form'
+    };
+
+    // Name the add-on registers under, subclasses override it
+    static ADDON_SOURCE = 'addon';
+
+    constructor() {
+      super();
+      this.addonSource = this.dataset.addonSource || this.constructor.ADDON_SOURCE;
+    }
+
+    onDOMReady() {
+      if (!this.isConnected) return;
+
+      // Moved by a section or quick add update: listeners are still bound
+      if (this.toggle) {
+        this.update();
+        return;
+      }
+
+      const { SELECTORS } = ProductAddon;
+
+      this.toggle = this.querySelector(SELECTORS.TOGGLE);
+      this.variantSelect = this.querySelector(SELECTORS.VARIANT_SELECT);
+      this.priceDisplay = this.querySelector(SELECTORS.PRICE_DISPLAY);
+
+      this.toggle?.addEventListener('change', this.update.bind(this));
+      this.variantSelect?.addEventListener('change', this.update.bind(this));
+      this.update();
+    }
+
+    onDisconnected() {
+      this.clearAddons();
+      ProductFormAddons.release(this.getAddonRegistryId());
+    }
+
+    // ==================== Registry ====================
+
+    /**
+     * Get the product form the add-on is added with
+     * Scoped to the containing product (main product, featured product or quick add modal), never another one on the page
+     * @returns {HTMLElement|null}
+     */
+    getProductForm() {
+      const { PRODUCT_FORM } = ProductAddon.SELECTORS;
+
+      return document.getElementById(this.dataset.formId)?.closest(PRODUCT_FORM)
+        || this.closest(PRODUCT_FORM)
+        || this.closest('product-info')?.querySelector(PRODUCT_FORM)
+        || null;
+    }
+
+    /**
+     * Get the id of the addon registry this add-on writes to
+     * Product page: the registry of its product form. Cart line: one registry per line.
+     * @returns {string}
+     */
+    getAddonRegistryId() {
+      if (this.dataset.lineItemKey) return `drawer-${this.dataset.lineItemKey}`;
+
+      return this.getProductForm()?.querySelector('form')?.id || this.dataset.formId;
+    }
+
+    /**
+     * @returns {ProductFormAddons}
+     */
+    getAddonRegistry() {
+      return ProductFormAddons.for(this.getAddonRegistryId());
+    }
+
+    /**
+     * Register line item properties and child items for the next add to cart
+     * @param {{properties: Object, items: Array}} addons - Items are { id, quantity }, product-form sets the parent
+     */
+    registerAddons(addons) {
+      this.getAddonRegistry().set(this.addonSource, addons);
+    }
+
+    /**
+     * @returns {{properties: Object, items: Array}|undefined} Registered addons
+     */
+    getRegisteredAddons() {
+      return this.getAddonRegistry().get(this.addonSource);
+    }
+
+    clearAddons() {
+      this.getAddonRegistry().delete(this.addonSource);
+    }
+
+    // ==================== Single product add-on ====================
+
+    /**
+     * Get the add-on variant to add, null when the add-on is not selected
+     * @returns {string|null}
+     */
+    getSelectedVariantId() {
+      if (!this.toggle?.checked) return null;
+      return this.variantSelect?.value || this.toggle.dataset.variantId || null;
+    }
+
+    /**
+     * Register or clear the add-on after a selection change
+     */
+    update() {
+      const variantId = this.getSelectedVariantId();
+
+      if (this.variantSelect) this.variantSelect.disabled = !this.toggle?.checked;
+
+      const selectedOption = this.variantSelect?.selectedOptions[0];
+      if (this.priceDisplay && selectedOption?.dataset.price) {
+        this.priceDisplay.textContent = `+${selectedOption.dataset.price}`;
+      }
+
+      if (!variantId) {
+        this.clearAddons();
+        return;
+      }
+
+      this.registerAddons({
+        properties: {},
+        items: [{ id: variantId, quantity: 1 }]
+      });
+    }
+  }
+
+  window.ProductAddon = ProductAddon;
+  customElements.define('c-product-addon', ProductAddon);
+
+} // End of ProductAddon check
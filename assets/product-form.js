@@ -31,26 +31,26 @@ if (!customElements.get('product-form')) {
         config.headers['X-Requested-With'] = 'XMLHttpRequest';
         const formData = new FormData(this.form);
 
-        // Build items array for multi-item add
-        const items = this.buildItems();
-
-        // Build request body
-        const body = {
-          items: items
-        };
+        // Build items arrays, one per parent line (addons may split the quantity into several lines)
+        const lines = this.buildLines();
 
-        // Add sections for cart update
+        // Sections for cart update
+        const sections = {};
         if (this.cart) {
-          body.sections = this.cart.getSectionsToRender().map((section) => section.id);
-          body.sections_url = window.location.pathname;
+          sections.sections = this.cart.getSectionsToRender().map((section) => section.id);
+          sections.sections_url = window.location.pathname;
           this.cart.setActiveElement(document.activeElement);
         }
 
         config.headers['Content-Type'] = 'application/json';
-        config.body = JSON.stringify(body);
+        config.body = JSON.stringify({ items: lines[0], ...sections });
+
+        const request =
+          lines.length > 1
+            ? this.addLines(lines, sections)
+            : CartMutationQueue.fetch(`${routes.cart_add_url}`, config).then((response) => response.json());
 
-        fetch(`${routes.cart_add_url}`, config)
-          .then((response) => response.json())
+        request
           .then((response) => {
             if (response.status) {
               publish(PUB_SUB_EVENTS.cartError, {
@@ -73,11 +73,6 @@ if (!customElements.get('product-form')) {
               return;
             }
 
-            // Clean up embroidery addons after successful add
-            if (window.embroideryAddons) {
-              delete window.embroideryAddons;
-            }
-
             const startMarker = CartPerformance.createStartingMarker('add:wait-for-subscribers');
             if (!this.error)
               publish(PUB_SUB_EVENTS.cartUpdate, {
@@ -110,6 +105,7 @@ if (!customElements.get('product-form')) {
           })
           .catch((e) => {
             console.error(e);
+            this.handleErrorMessage(window.cartStrings.error);
           })
           .finally(() => {
             this.submitButton.classList.remove('loading');
@@ -137,7 +133,15 @@ if (!customElements.get('product-form')) {
       }
 
       /**
-       * Build items array from form data and embroidery addons
+       * Addons registered for this form by customizer components (e.g. embroidery)
+       * @returns {ProductFormAddons}
+       */
+      get addons() {
+        return ProductFormAddons.for(this.form.id);
+      }
+
+      /**
+       * Build items array from form data and registered addons
        * @returns {Array} Array of items to add to cart
        */
       buildItems() {
@@ -159,9 +163,13 @@ if (!customElements.get('product-form')) {
           }
         }
 
-        // Add embroidery properties if exists
-        if (window.embroideryAddons?.properties) {
-          Object.assign(properties, window.embroideryAddons.properties);
+        // Add properties registered by addons
+        const addonItems = this.addons.items;
+        Object.assign(properties, this.addons.properties);
+
+        // Every addon child line is listed on the parent, whichever component registered it
+        if (addonItems.length > 0) {
+          properties['_Addons'] = addonItems.map(addonItem => addonItem.id).join(',');
         }
 
         // Add properties to main item if any exist
@@ -171,16 +179,72 @@ if (!customElements.get('product-form')) {
 
         items.push(mainItem);
 
-        // Add embroidery addon items if exists
-        if (window.embroideryAddons?.items?.length > 0) {
-          window.embroideryAddons.items.forEach(addonItem => {
-            items.push(addonItem);
+        // Add addon items registered for this form, nested under the main product line (one per unit)
+        addonItems.forEach(addonItem => {
+          items.push({
+            ...addonItem,
+            quantity: mainItem.quantity,
+            properties: { ...addonItem.properties, [ProductFormAddons.CHILD_PROPERTY]: mainItem.id },
+            parent_id: mainItem.id
           });
-        }
+        });
 
         return items;
       }
 
+      /**
+       * Build one items array per parent line
+       * Addon units (e.g. a different embroidered name per unit) each get their own parent line and addon children
+       * @returns {Array<Array>} Items arrays, each added with its own request
+       */
+      buildLines() {
+        const items = this.buildItems();
+        const units = this.addons.units;
+
+        if (units.length === 0) return [items];
+
+        const [mainItem, ...addonItems] = items;
+
+        return units.map((unit) => [
+          {
+            ...mainItem,
+            quantity: unit.quantity,
+            properties: { ...mainItem.properties, ...unit.properties }
+          },
+          ...addonItems.map((addonItem) => ({ ...addonItem, quantity: unit.quantity }))
+        ]);
+      }
+
+      /**
+       * Add several parent lines as one queued mutation, a failed line removes the ones added before it
+       * @param {Array<Array>} lines - See buildLines()
+       * @param {Object} sections - Sections to render, requested with the last line
+       * @returns {Promise<Object>} Last cart/add response, or { status, errors, description } when a line failed
+       */
+      addLines(lines, sections) {
+        return CartMutationQueue.transaction(async (transaction) => {
+          let state;
+
+          for (const [index, items] of lines.entries()) {
+            const isLast = index === lines.length - 1;
+
+            state = await transaction.request(
+              routes.cart_add_url,
+              { items, ...(isLast ? sections : {}) },
+              (added) => transaction.request(routes.cart_update_url, {
+                updates: Object.fromEntries(added.items.map((item) => [item.key, 0]))
+              })
+            );
+          }
+
+          return state;
+        }).catch((error) => {
+          // Failed requests (network) aren't cart errors, they reach the submit error handling
+          if (!error.status) throw error;
+          return { status: error.status, errors: error.errors, description: error.description ?? error.message };
+        });
+      }
+
       toggleSubmitButton(disable = true, text) {
         if (disable) {
           this.submitButton.setAttribute('disabled', 'disabled');
@@ -21,11 +21,12 @@ if (!customElements.get('quick-add-bulk')) {
       }
 
       connectedCallback() {
-        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+        // Only a confirmed change of this variant's cart quantity re-renders it
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartStateChange, (event) => {
           if (
             event.source === 'quick-add' ||
-            (event.cartData.items && !event.cartData.items.some((item) => item.id === parseInt(this.dataset.index))) ||
-            (event.cartData.variant_id && !(event.cartData.variant_id === parseInt(this.dataset.index)))
+            event.type !== CartStore.CHANGE_TYPES.confirmed ||
+            !event.changes.some((change) => change.variantId === parseInt(this.dataset.index))
           ) {
             return;
           }
@@ -115,18 +116,13 @@ if (!customElements.get('quick-add-bulk')) {
         this.selectProgressBar().classList.remove('hidden');
 
         const ids = Object.keys(items);
-        const body = JSON.stringify({
-          updates: items,
+
+        CartStore.update(items, {
+          source: 'quick-add',
           sections: this.getSectionsToRender().map((section) => section.section),
           sections_url: this.getSectionsUrl(),
-        });
-
-        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
-          .then((response) => {
-            return response.text();
-          })
-          .then((state) => {
-            const parsedState = JSON.parse(state);
+        })
+          .then((parsedState) => {
             this.renderSections(parsedState, ids);
             publish(PUB_SUB_EVENTS.cartUpdate, { source: 'quick-add', cartData: parsedState });
           })
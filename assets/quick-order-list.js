@@ -28,9 +28,12 @@ if (!customElements.get('quick-order-list')) {
       }
 
       connectedCallback() {
-        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, async (event) => {
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartStateChange, async (event) => {
           // skip if cart event was triggered by this section
-          if (event.source === this.id) return;
+          if (event.source === this.id || event.type !== CartStore.CHANGE_TYPES.confirmed) return;
+
+          // only changes to this product's variants are re-rendered
+          if (!event.changes.some((change) => change.productId === parseInt(this.dataset.productId))) return;
 
           this.toggleTableLoading(true);
           await this.refresh();
@@ -329,19 +332,15 @@ if (!customElements.get('quick-order-list')) {
         this.toggleLoading(true);
         const url = this.dataset.url || window.location.pathname;
 
-        const body = JSON.stringify({
-          updates: items,
-          sections: this.getSectionsToRender().map(({ section }) => section),
-          sections_url: `${url}?page=${this.currentPage}`,
-        });
-
         this.updateMessage();
         this.setErrorMessage();
 
-        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
-          .then((response) => response.text())
-          .then(async (state) => {
-            const parsedState = JSON.parse(state);
+        CartStore.update(items, {
+          source: this.id,
+          sections: this.getSectionsToRender().map(({ section }) => section),
+          sections_url: `${url}?page=${this.currentPage}`,
+        })
+          .then(async (parsedState) => {
             this.renderSections(parsedState);
             publish(PUB_SUB_EVENTS.cartUpdate, {
               source: this.id,